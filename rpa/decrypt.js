@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+
+import dotenv from 'dotenv';
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import yaml from 'js-yaml';
+import { loadEncryptionKey, isEncrypted, decryptBuffer } from './lib/encryption.js';
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Parse command line arguments
+ */
+const argv = yargs(hideBin(process.argv))
+  .usage('Usage: $0 [options] <file...>')
+  .option('config', {
+    alias: 'c',
+    type: 'string',
+    description: 'Path to config.yaml (for global.encryption.key_file)',
+    default: './rpa/config.yaml'
+  })
+  .option('key-file', {
+    type: 'string',
+    description: 'Key file (overrides RPA_ENCRYPTION_KEY_FILE and the config)'
+  })
+  .option('out', {
+    alias: 'o',
+    type: 'string',
+    description: 'Directory for the decrypted copies',
+    default: './decrypted'
+  })
+  .option('stdout', {
+    type: 'boolean',
+    description: 'Write a single decrypted file to standard output instead',
+    default: false
+  })
+  .example('$0 downloads/20260105_060000/visits_2026-01-04.csv', 'Decrypt into ./decrypted/')
+  .example('$0 --stdout logs/screenshots/login-exception.png > shot.png', 'Decrypt to a pipe')
+  .check((args) => {
+    if (args._.length === 0) {
+      throw new Error('At least one file is required');
+    }
+    if (args.stdout && args._.length > 1) {
+      throw new Error('--stdout takes a single file');
+    }
+    return true;
+  })
+  .help('h')
+  .alias('h', 'help')
+  .parseSync();
+
+/**
+ * Record who decrypted what, since decrypted copies hold PHI
+ * @param {string} file - Encrypted file
+ * @param {string} output - Where the plaintext went
+ */
+function recordAudit(file, output) {
+  const logsDir = path.join(process.cwd(), 'logs');
+  fs.mkdirSync(logsDir, { recursive: true });
+  fs.appendFileSync(path.join(logsDir, 'decrypt-audit.log'), `${JSON.stringify({
+    at: new Date().toISOString(),
+    user: os.userInfo().username,
+    file: path.resolve(file),
+    output
+  })}\n`);
+}
+
+/**
+ * Decrypt the requested files
+ * @returns {number} Exit code
+ */
+function main() {
+  const config = fs.existsSync(argv.config) ? yaml.load(fs.readFileSync(argv.config, 'utf8')) : {};
+  const settings = { ...config?.global?.encryption };
+  if (argv.keyFile) {
+    delete process.env.RPA_ENCRYPTION_KEY;
+    process.env.RPA_ENCRYPTION_KEY_FILE = argv.keyFile;
+  }
+
+  const loaded = loadEncryptionKey(settings);
+  if (!loaded) {
+    throw new Error('No key configured (set RPA_ENCRYPTION_KEY, RPA_ENCRYPTION_KEY_FILE, --key-file or global.encryption.key_file)');
+  }
+
+  let failed = 0;
+  for (const file of argv._.map(String)) {
+    try {
+      const data = fs.readFileSync(file);
+      if (!isEncrypted(data)) {
+        throw new Error('not an encrypted file');
+      }
+      const plaintext = decryptBuffer(data, loaded.key);
+
+      if (argv.stdout) {
+        process.stdout.write(plaintext);
+        recordAudit(file, 'stdout');
+        continue;
+      }
+
+      fs.mkdirSync(argv.out, { recursive: true });
+      const target = path.resolve(argv.out, path.basename(file));
+      fs.writeFileSync(target, plaintext);
+      recordAudit(file, target);
+      console.error(`Decrypted ${file} -> ${target}`);
+    } catch (error) {
+      console.error(`Cannot decrypt ${file}: ${error.message}`);
+      failed++;
+    }
+  }
+
+  return failed > 0 ? 1 : 0;
+}
+
+// exitCode rather than exit(), so a large --stdout write is flushed first
+try {
+  process.exitCode = main();
+} catch (error) {
+  console.error(`Decrypt failed: ${error.message}`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+
+import dotenv from 'dotenv';
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import path from 'path';
+import { createLogger } from './lib/logger.js';
+import { loadReportConfig } from './lib/reports.js';
+import { validateConfigFile, formatConfigProblems } from './lib/config-schema.js';
+import { configureEncryption } from './lib/encryption.js';
+import { loadDeliveryLedger, retryFailedDeliveries } from './lib/delivery.js';
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Parse command line arguments
+ */
+const argv = yargs(hideBin(process.argv))
+  .usage('Usage: $0 (--list | --retry) [options]')
+  .option('config', {
+    alias: 'c',
+    type: 'string',
+    description: 'Path to config.yaml (for the delivery targets)',
+    default: './rpa/config.yaml'
+  })
+  .option('list', {
+    type: 'boolean',
+    description: 'List recorded deliveries, newest last',
+    default: false
+  })
+  .option('status', {
+    type: 'string',
+    choices: ['delivered', 'failed', 'abandoned'],
+    description: 'With --list: only deliveries in this state'
+  })
+  .option('limit', {
+    type: 'number',
+    description: 'With --list: show at most this many',
+    default: 50
+  })
+  .option('retry', {
+    type: 'boolean',
+    description: 'Retry failed deliveries now, from the stored files',
+    default: false
+  })
+  .option('include-abandoned', {
+    type: 'boolean',
+    description: 'With --retry: also retry deliveries that were given up on',
+    default: false
+  })
+  .example('$0 --list --status failed', 'Show deliveries waiting for a retry')
+  .example('$0 --retry', 'Retry every failed delivery now')
+  .check((args) => {
+    if (!args.list && !args.retry) {
+      throw new Error('Use --list or --retry');
+    }
+    return true;
+  })
+  .help('h')
+  .alias('h', 'help')
+  .parseSync();
+
+/**
+ * List or retry deliveries
+ * @returns {Promise<number>} Exit code
+ */
+async function main() {
+  if (argv.list) {
+    const records = loadDeliveryLedger().deliveries
+      .filter(record => !argv.status || record.status === argv.status)
+      .slice(-argv.limit);
+    for (const record of records) {
+      const status = record.status.toUpperCase().padEnd(9);
+      console.log(`${status} ${record.id} ${record.updatedAt} ${record.reportName} -> ${record.target} ${record.location}` +
+        (record.error ? ` (${record.attempts} attempt(s): ${record.error})` : ''));
+    }
+    return 0;
+  }
+
+  const sessionId = `deliver-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+  const logger = createLogger(sessionId);
+  const configPath = path.resolve(argv.config);
+  const config = loadReportConfig(configPath, logger);
+  const configProblems = validateConfigFile(configPath);
+  if (configProblems.length > 0) {
+    formatConfigProblems(configPath, configProblems).forEach(line => logger.error(line));
+    throw new Error(`Configuration has ${configProblems.length} problem(s)`);
+  }
+  configureEncryption(config.global?.encryption, logger);
+
+  const { retried, delivered } = await retryFailedDeliveries(config, { includeAbandoned: argv.includeAbandoned }, logger);
+  logger.info(`Retried ${retried} delivery(ies): ${delivered} delivered, ${retried - delivered} still failing`);
+  return delivered < retried ? 1 : 0;
+}
+
+main()
+  .then((code) => { process.exitCode = code; })
+  .catch((error) => {
+    console.error(`Delivery failed: ${error.message}`);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,221 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * Persistent download archive
+ * Every successful download is copied into downloads/archive/ and recorded in
+ * a small index keyed by report name, date range and report parameters. This
+ * survives across sessions, unlike the per-session download folders.
+ */
+
+const INDEX_FILE = 'index.json';
+
+/**
+ * Get the archive root directory
+ * @returns {string} Archive directory path
+ */
+export function getArchiveDir() {
+  return path.join(process.cwd(), 'downloads', 'archive');
+}
+
+/**
+ * Normalize report parameters so key order never changes the identity
+ * @param {Object} params - Report parameters
+ * @returns {Object} Parameters sorted by name, with string values
+ */
+function normalizeParams(params = {}) {
+  const normalized = {};
+  for (const name of Object.keys(params).sort()) {
+    const value = params[name];
+    normalized[name] = Array.isArray(value) ? value.map(String).join('|') : String(value);
+  }
+  return normalized;
+}
+
+/**
+ * Build the archive identity for a download
+ * @param {string} reportName - Report name
+ * @param {string} fromDate - Start date (YYYY-MM-DD)
+ * @param {string} toDate - End date (YYYY-MM-DD)
+ * @param {Object} params - Report parameters
+ * @returns {string} Archive key
+ */
+export function buildArchiveKey(reportName, fromDate, toDate, params = {}) {
+  return [reportName, fromDate, toDate, JSON.stringify(normalizeParams(params))].join('|');
+}
+
+/**
+ * Load the archive index
+ * @returns {{entries: Array<Object>}} Index
+ */
+export function loadArchiveIndex() {
+  const indexPath = path.join(getArchiveDir(), INDEX_FILE);
+
+  if (!fs.existsSync(indexPath)) {
+    return { entries: [] };
+  }
+
+  return JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+}
+
+/**
+ * Save the archive index (written to a temp file first so a crash never
+ * leaves a half-written index behind)
+ * @param {{entries: Array<Object>}} index - Index
+ */
+export function saveArchiveIndex(index) {
+  const archiveDir = getArchiveDir();
+  fs.mkdirSync(archiveDir, { recursive: true });
+
+  const indexPath = path.join(archiveDir, INDEX_FILE);
+  const tempPath = `${indexPath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(index, null, 2));
+  fs.renameSync(tempPath, indexPath);
+}
+
+/**
+ * List archive entries, newest version last
+ * @param {Object} filter - Optional filter
+ * @param {string} [filter.reportName] - Only this report
+ * @param {string} [filter.key] - Only this archive key
+ * @returns {Array<Object>} Matching entries whose files still exist
+ */
+export function listArchiveEntries(filter = {}) {
+  return loadArchiveIndex().entries
+    .filter(entry => !filter.reportName || entry.reportName === filter.reportName)
+    .filter(entry => !filter.key || entry.key === filter.key)
+    .filter(entry => fs.existsSync(entry.file))
+    .sort((a, b) => a.archivedAt.localeCompare(b.archivedAt) || a.version - b.version);
+}
+
+/**
+ * Find the latest archived download for a report, range and parameters
+ * @param {Object} identity - Download identity
+ * @param {string} identity.reportName - Report name
+ * @param {string} identity.fromDate - Start date
+ * @param {string} identity.toDate - End date
+ * @param {Object} [identity.params] - Report parameters
+ * @param {Object} logger - Logger instance
+ * @returns {Object|null} Latest archive entry or null
+ */
+export function findArchivedDownload(identity, logger) {
+  const { reportName, fromDate, toDate, params = {} } = identity;
+  const key = buildArchiveKey(reportName, fromDate, toDate, params);
+
+  try {
+    const entries = listArchiveEntries({ key });
+    const latest = entries[entries.length - 1];
+
+    if (latest) {
+      logger.info(`Archived download found: ${latest.file} (version ${latest.version}, ${latest.size} bytes)`);
+      return latest;
+    }
+  } catch (error) {
+    logger.warn(`Error checking download archive: ${error.message}`);
+  }
+
+  return null;
+}
+
+/**
+ * List archived downloads of a report with the same parameters, whatever
+ * their date range, oldest first
+ * @param {Object} identity - Download identity
+ * @param {string} identity.reportName - Report name
+ * @param {Object} [identity.params] - Report parameters
+ * @returns {Array<Object>} Archive entries whose files still exist
+ */
+export function listReportDownloads(identity) {
+  const { reportName, params = {} } = identity;
+  const wanted = JSON.stringify(normalizeParams(params));
+
+  return listArchiveEntries({ reportName }).filter(entry => JSON.stringify(entry.params) === wanted);
+}
+
+/**
+ * Find the most recently archived download of a report with the same
+ * parameters, whatever its date range (the "previous pull" of a snapshot report)
+ * @param {Object} identity - Download identity
+ * @param {string} identity.reportName - Report name
+ * @param {Object} [identity.params] - Report parameters
+ * @returns {Object|null} Latest archive entry or null
+ */
+export function findPreviousDownload(identity) {
+  const entries = listReportDownloads(identity);
+  return entries[entries.length - 1] || null;
+}
+
+/**
+ * Get the version number the next archived download of a report, range and
+ * parameters will get
+ * @param {Object} identity - Download identity
+ * @param {string} identity.reportName - Report name
+ * @param {string} identity.fromDate - Start date
+ * @param {string} identity.toDate - End date
+ * @param {Object} [identity.params] - Report parameters
+ * @returns {number} Version (1 for the first download)
+ */
+export function getNextArchiveVersion(identity) {
+  const { reportName, fromDate, toDate, params = {} } = identity;
+  const key = buildArchiveKey(reportName, fromDate, toDate, params);
+
+  return loadArchiveIndex().entries
+    .filter(entry => entry.key === key)
+    .reduce((max, entry) => Math.max(max, entry.version), 0) + 1;
+}
+
+/**
+ * Copy a finished download into the archive as a new version
+ * @param {string} filePath - Downloaded file
+ * @param {Object} identity - Download identity
+ * @param {string} identity.reportName - Report name
+ * @param {string} identity.fromDate - Start date
+ * @param {string} identity.toDate - End date
+ * @param {Object} [identity.params] - Report parameters
+ * @param {string} [identity.sessionId] - Session that produced the file
+ * @param {string} [identity.suggestedFilename] - Name HHA Exchange suggested for the file
+ * @param {Object} logger - Logger instance
+ * @returns {Object} New archive entry
+ */
+export function archiveDownload(filePath, identity, logger) {
+  const { reportName, fromDate, toDate, params = {}, sessionId = null, suggestedFilename = null } = identity;
+  const key = buildArchiveKey(reportName, fromDate, toDate, params);
+  const index = loadArchiveIndex();
+
+  const version = getNextArchiveVersion(identity);
+
+  // Parameters get a short hash in the folder name; the index holds the full values
+  const normalizedParams = normalizeParams(params);
+  const paramSuffix = Object.keys(normalizedParams).length > 0
+    ? `_${crypto.createHash('sha1').update(JSON.stringify(normalizedParams)).digest('hex').slice(0, 8)}`
+    : '';
+  const targetDir = path.join(getArchiveDir(), reportName, `${fromDate}_to_${toDate}${paramSuffix}`, `v${version}`);
+  fs.mkdirSync(targetDir, { recursive: true });
+
+  const targetPath = path.join(targetDir, path.basename(filePath));
+  fs.copyFileSync(filePath, targetPath);
+
+  const contents = fs.readFileSync(targetPath);
+  const entry = {
+    key,
+    reportName,
+    fromDate,
+    toDate,
+    params: normalizedParams,
+    version,
+    file: targetPath,
+    sourceFile: filePath,
+    suggestedFilename,
+    sessionId,
+    size: contents.length,
+    sha256: crypto.createHash('sha256').update(contents).digest('hex'),
+    archivedAt: new Date().toISOString()
+  };
+
+  index.entries.push(entry);
+  saveArchiveIndex(index);
+
+  logger.info(`Archived download as version ${version}: ${targetPath}`);
+  return entry;
+}
@@ -0,0 +1,154 @@
+import path from 'path';
+import { readReportRecords } from './normalize.js';
+import { writeCsvFile } from './tables.js';
+import { parseDateValue } from './values.js';
+import { parseDate, todayInTimezone } from './periods.js';
+import { escapeHtml, renderHtmlTable, renderHtmlPage } from './html.js';
+import { writeDataFile } from './encryption.js';
+
+/**
+ * Authorization expiry alerts (post-processor "auth_expiry")
+ * Lists authorizations from the active patients report whose end date falls
+ * within the next `within_days` days, grouped by status and patient, as a CSV
+ * and an HTML digest next to the download.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_WITHIN_DAYS = 30;
+
+export const DEFAULT_AUTH_COLUMNS = {
+  patient_id: 'Patient ID',
+  patient_name: 'Patient Name',
+  status: 'Auth Status',
+  start: 'Start Date',
+  end: 'End Date'
+};
+
+export const AUTH_EXPIRY_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    type: { const: 'auth_expiry' },
+    within_days: { type: 'integer', minimum: 0 },
+    statuses: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+    columns: {
+      type: 'object',
+      additionalProperties: false,
+      properties: Object.fromEntries(Object.keys(DEFAULT_AUTH_COLUMNS).map(key => [key, { type: 'string', minLength: 1 }]))
+    }
+  }
+};
+
+/**
+ * Find authorizations that expire within a number of days
+ * @param {Array<Object>} records - Report rows
+ * @param {Object} options - Options
+ * @param {string} options.today - Reference date (YYYY-MM-DD)
+ * @param {number} options.withinDays - Look-ahead window in days (inclusive)
+ * @param {Object<string, string>} options.columns - Column names (see DEFAULT_AUTH_COLUMNS)
+ * @param {string[]} [options.statuses] - Only these authorization statuses
+ * @returns {Array<Object>} Expiring authorizations sorted by status, patient and end date
+ */
+export function findExpiringAuthorizations(records, options) {
+  const { today, withinDays, columns, statuses } = options;
+  const todayTime = parseDate(today).getTime();
+  const expiring = [];
+
+  for (const record of records) {
+    const status = String(record[columns.status] ?? '').trim();
+    if (statuses && !statuses.includes(status)) continue;
+
+    const endDate = parseDateValue(record[columns.end] ?? '');
+    if (!endDate) continue;
+
+    const daysLeft = Math.round((parseDate(endDate.slice(0, 10)).getTime() - todayTime) / DAY_MS);
+    if (daysLeft < 0 || daysLeft > withinDays) continue;
+
+    const startDate = parseDateValue(record[columns.start] ?? '');
+    expiring.push({
+      patientId: record[columns.patient_id] ?? null,
+      patientName: record[columns.patient_name] ?? null,
+      status,
+      startDate: startDate ? startDate.slice(0, 10) : null,
+      endDate: endDate.slice(0, 10),
+      daysLeft
+    });
+  }
+
+  return expiring.sort((a, b) =>
+    a.status.localeCompare(b.status) ||
+    String(a.patientName).localeCompare(String(b.patientName)) ||
+    String(a.patientId).localeCompare(String(b.patientId)) ||
+    a.endDate.localeCompare(b.endDate));
+}
+
+/**
+ * Render the HTML digest: one section per status, rows grouped by patient
+ * @param {Array<Object>} expiring - Expiring authorizations
+ * @param {string} today - Reference date
+ * @param {number} withinDays - Look-ahead window
+ * @returns {string} HTML document
+ */
+function renderDigest(expiring, today, withinDays) {
+  // Without a Patient ID column, rows are grouped by name
+  const patientKey = auth => auth.patientId ?? auth.patientName;
+  const patients = new Set(expiring.map(patientKey)).size;
+  const sections = [
+    `<p>${expiring.length} authorization(s) for ${patients} patient(s) expire in the next ${withinDays} days (as of ${escapeHtml(today)}).</p>`
+  ];
+
+  if (expiring.length === 0) {
+    sections.push('<p class="muted">Nothing expires in this window.</p>');
+  }
+
+  for (const status of [...new Set(expiring.map(auth => auth.status))]) {
+    const rows = expiring.filter(auth => auth.status === status);
+    sections.push(`<h2>${escapeHtml(status || '(no status)')} (${rows.length})</h2>`);
+    sections.push(renderHtmlTable(
+      ['Patient', 'Patient ID', 'Start Date', 'End Date', 'Days Left'],
+      rows.map((auth, i) => [
+        // Repeat the patient only on their first row so each patient reads as a group
+        i > 0 && patientKey(rows[i - 1]) === patientKey(auth) ? '' : auth.patientName,
+        i > 0 && patientKey(rows[i - 1]) === patientKey(auth) ? '' : auth.patientId,
+        auth.startDate,
+        auth.endDate,
+        auth.daysLeft
+      ])
+    ));
+  }
+
+  return renderHtmlPage('Authorizations Expiring Soon', sections.join('\n'));
+}
+
+/**
+ * Write the expiry CSV and HTML digest for a downloaded active patients report
+ * @param {string} filePath - Downloaded file
+ * @param {Object} reportDef - Report definition
+ * @param {Object} options - Processor options from config.yaml
+ * @param {Object} context - Run context
+ * @param {string} [context.timezone] - Agency timezone for "today"
+ * @param {Object} logger - Logger instance
+ * @returns {{files: string[], count: number}} Written files and number of expiring authorizations
+ */
+export function runAuthExpiry(filePath, reportDef, options, context, logger) {
+  const withinDays = options.within_days ?? DEFAULT_WITHIN_DAYS;
+  const columns = { ...DEFAULT_AUTH_COLUMNS, ...options.columns };
+  const today = todayInTimezone(context.timezone);
+  const { records } = readReportRecords(filePath, reportDef, { raw: true });
+
+  const expiring = findExpiringAuthorizations(records, { today, withinDays, columns, statuses: options.statuses });
+
+  const { dir, name } = path.parse(filePath);
+  const csvPath = path.join(dir, `${name}.auth-expiry.csv`);
+  const htmlPath = path.join(dir, `${name}.auth-expiry.html`);
+
+  writeCsvFile(
+    csvPath,
+    ['patient_id', 'patient_name', 'auth_status', 'start_date', 'end_date', 'days_left'],
+    expiring.map(auth => [auth.patientId, auth.patientName, auth.status, auth.startDate, auth.endDate, auth.daysLeft])
+  );
+  writeDataFile(htmlPath, renderDigest(expiring, today, withinDays));
+
+  logger.info(`Authorization expiry: ${expiring.length} authorization(s) expire within ${withinDays} days`);
+  return { files: [csvPath, htmlPath], count: expiring.length };
+}
@@ -0,0 +1,137 @@
+import fs from 'fs';
+import path from 'path';
+import { parseDate, formatDate } from './periods.js';
+import { decodeText, parseCsv, formatCsvRow } from './tables.js';
+import { readDataFile, writeDataFile } from './encryption.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MANIFEST_FILE = 'chunks.json';
+
+/**
+ * Split a date range into consecutive chunks of at most maxDays days
+ * @param {string} fromDate - Start date (YYYY-MM-DD)
+ * @param {string} toDate - End date (YYYY-MM-DD)
+ * @param {number} maxDays - Maximum days per chunk (inclusive)
+ * @returns {Array<{fromDate: string, toDate: string}>} Chunks in order
+ */
+export function splitDateRange(fromDate, toDate, maxDays) {
+  if (!Number.isInteger(maxDays) || maxDays < 1) {
+    throw new Error(`max_range_days must be a positive integer, got ${maxDays}`);
+  }
+
+  const end = parseDate(toDate);
+  const chunks = [];
+  let start = parseDate(fromDate);
+
+  while (start <= end) {
+    const chunkEnd = new Date(Math.min(start.getTime() + (maxDays - 1) * DAY_MS, end.getTime()));
+    chunks.push({ fromDate: formatDate(start), toDate: formatDate(chunkEnd) });
+    start = new Date(chunkEnd.getTime() + DAY_MS);
+  }
+
+  return chunks;
+}
+
+/**
+ * Get the persistent working directory for a chunked download.
+ * It lives outside the session folder so a re-run can resume.
+ * @param {string} reportName - Report name
+ * @param {string} fromDate - Start date of the full range
+ * @param {string} toDate - End date of the full range
+ * @param {string} parameterTag - Report parameter tag, so different filters never share chunks
+ * @returns {string} Directory path
+ */
+export function getChunkDirectory(reportName, fromDate, toDate, parameterTag = '') {
+  const rangeDir = `${fromDate}_to_${toDate}${parameterTag ? `__${parameterTag}` : ''}`;
+  const chunkDir = path.join(process.cwd(), 'downloads', 'chunks', reportName, rangeDir);
+
+  if (!fs.existsSync(chunkDir)) {
+    fs.mkdirSync(chunkDir, { recursive: true });
+  }
+
+  return chunkDir;
+}
+
+/**
+ * Load the chunk manifest, creating entries for any chunk not yet recorded
+ * @param {string} chunkDir - Chunk working directory
+ * @param {Array<{fromDate: string, toDate: string}>} chunks - Expected chunks
+ * @returns {Object} Manifest with a chunks array
+ */
+export function loadChunkManifest(chunkDir, chunks) {
+  const manifestPath = path.join(chunkDir, MANIFEST_FILE);
+  let recorded = [];
+
+  if (fs.existsSync(manifestPath)) {
+    recorded = JSON.parse(fs.readFileSync(manifestPath, 'utf8')).chunks || [];
+  }
+
+  return {
+    chunks: chunks.map((chunk) => {
+      const previous = recorded.find(entry =>
+        entry.fromDate === chunk.fromDate && entry.toDate === chunk.toDate
+      );
+      return previous || { ...chunk, status: 'pending', file: null, error: null, updatedAt: null };
+    })
+  };
+}
+
+/**
+ * Persist the chunk manifest
+ * @param {string} chunkDir - Chunk working directory
+ * @param {Object} manifest - Manifest to save
+ */
+export function saveChunkManifest(chunkDir, manifest) {
+  fs.writeFileSync(path.join(chunkDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+}
+
+/**
+ * Check whether a chunk was already downloaded and its file is still present
+ * @param {Object} entry - Manifest entry
+ * @returns {boolean} True if the chunk can be reused
+ */
+export function isChunkComplete(entry) {
+  return entry.status === 'completed' && Boolean(entry.file) && fs.existsSync(entry.file);
+}
+
+/**
+ * Merge chunk files into one UTF-8 output with a single header row.
+ * Only delimited text files (CSV/TXT) can be merged. Chunks are parsed as CSV,
+ * so quoted fields with embedded newlines and UTF-16 chunks merge correctly.
+ * @param {string[]} files - Chunk files in order
+ * @param {string} outputPath - Merged output path
+ * @param {Object} logger - Logger instance
+ * @returns {string} Output path
+ */
+export function mergeChunkFiles(files, outputPath, logger) {
+  const unsupported = files.filter(file => !/\.(csv|txt)$/i.test(file));
+  if (unsupported.length > 0) {
+    throw new Error(`Cannot merge non-CSV chunk files: ${unsupported.map(file => path.basename(file)).join(', ')}`);
+  }
+
+  const lines = [];
+  let header = null;
+  let eol = '\n';
+
+  for (const file of files) {
+    const { text } = decodeText(readDataFile(file));
+    const [fileHeader = [], ...records] = parseCsv(text);
+    const headerLine = formatCsvRow(fileHeader);
+
+    if (header === null) {
+      header = headerLine;
+      eol = text.includes('\r\n') ? '\r\n' : '\n';
+      lines.push(headerLine);
+    } else if (headerLine !== header) {
+      logger.warn(`Header of ${path.basename(file)} differs from the first chunk; rows appended as-is`);
+    }
+
+    for (const record of records) {
+      lines.push(formatCsvRow(record));
+    }
+  }
+
+  writeDataFile(outputPath, lines.length > 0 ? `${lines.join(eol)}${eol}` : '');
+  logger.info(`Merged ${files.length} chunk files into ${outputPath}`);
+  return outputPath;
+}
@@ -0,0 +1,208 @@
+import path from 'path';
+import { readReportRecords } from './normalize.js';
+import { writeCsvFile } from './tables.js';
+import { isBlank, parseNumberValue } from './values.js';
+import { parseDate, todayInTimezone } from './periods.js';
+import { listReportDownloads } from './archive.js';
+import { renderHtmlTable, renderHtmlPage } from './html.js';
+import { writeDataFile } from './encryption.js';
+
+/**
+ * Aide compliance exceptions (post-processor "compliance")
+ * Flags aides below a compliance threshold or with training not completed,
+ * and works out how long each has been non-compliant by walking back through
+ * earlier archived downloads of the same report. Writes an exception list
+ * (CSV + HTML) next to the download, longest-standing exceptions first.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_MIN_COMPLIANCE = 100;
+const DEFAULT_COMPLETED_STATUSES = ['Complete', 'Completed', 'Compliant'];
+const DEFAULT_MAX_HISTORY = 90;
+
+export const DEFAULT_COMPLIANCE_COLUMNS = {
+  aide_id: 'Aide ID',
+  aide_name: 'Aide Name',
+  training_status: 'Training Status',
+  compliance: 'Compliance %'
+};
+
+export const COMPLIANCE_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    type: { const: 'compliance' },
+    min_compliance: { type: 'number', minimum: 0, maximum: 100 },
+    completed_statuses: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+    max_history: { type: 'integer', minimum: 0 },
+    columns: {
+      type: 'object',
+      additionalProperties: false,
+      properties: Object.fromEntries(Object.keys(DEFAULT_COMPLIANCE_COLUMNS).map(key => [key, { type: 'string', minLength: 1 }]))
+    }
+  }
+};
+
+/**
+ * Parse a compliance percentage. "95%" and "95" mean 95; percent-formatted
+ * workbook cells arrive already scaled to 0-100 (read with percentCells).
+ * @param {*} value - Cell value
+ * @returns {number|null} Percentage or null if blank/unparseable
+ */
+export function parsePercent(value) {
+  if (isBlank(value)) return null;
+  if (typeof value === 'number') {
+    return value;
+  }
+  return parseNumberValue(String(value).replace(/%\s*$/, ''));
+}
+
+/**
+ * Work out why an aide is non-compliant
+ * @param {Object} record - Report row
+ * @param {Object} settings - Resolved processor settings
+ * @returns {string[]} Reasons (empty when compliant)
+ */
+function getReasons(record, settings) {
+  const { columns, minCompliance, completedStatuses } = settings;
+  const reasons = [];
+
+  const compliance = parsePercent(record[columns.compliance]);
+  if (compliance === null) {
+    reasons.push('compliance % missing');
+  } else if (compliance < minCompliance) {
+    reasons.push(`compliance ${compliance}% below ${minCompliance}%`);
+  }
+
+  const status = String(record[columns.training_status] ?? '').trim();
+  if (!completedStatuses.includes(status)) {
+    reasons.push(status ? `training "${status}" not completed` : 'training status missing');
+  }
+
+  return reasons;
+}
+
+/**
+ * Index the non-compliant aides of one download by aide ID
+ * @param {Array<Object>} records - Report rows
+ * @param {Object} settings - Resolved processor settings
+ * @returns {Map<string, {record: Object, reasons: string[]}>} Exceptions by aide ID
+ */
+export function findComplianceExceptions(records, settings) {
+  const exceptions = new Map();
+
+  for (const record of records) {
+    const aideId = String(record[settings.columns.aide_id] ?? '').trim();
+    if (!aideId) continue;
+
+    const reasons = getReasons(record, settings);
+    if (reasons.length > 0) {
+      exceptions.set(aideId, { record, reasons });
+    }
+  }
+
+  return exceptions;
+}
+
+/**
+ * Find, per aide, the earliest pull of an unbroken run of non-compliant pulls
+ * ending with the current one
+ * @param {Map<string, Object>} current - Exceptions in the new download
+ * @param {Array<Object>} history - Earlier archive entries, oldest first
+ * @param {Object} reportDef - Report definition
+ * @param {Object} settings - Resolved processor settings
+ * @param {Object} logger - Logger instance
+ * @returns {Map<string, {since: string, pulls: number}>} Streak start (archive time) and length per aide
+ */
+function traceNonComplianceStreaks(current, history, reportDef, settings, logger) {
+  const streaks = new Map([...current.keys()].map(aideId => [aideId, { since: null, pulls: 1, open: true }]));
+
+  for (const entry of [...history].reverse()) {
+    const open = [...streaks.values()].filter(streak => streak.open);
+    if (open.length === 0) break;
+
+    let earlier;
+    try {
+      earlier = findComplianceExceptions(readReportRecords(entry.file, reportDef, { raw: true, percentCells: true }).records, settings);
+    } catch (error) {
+      logger.warn(`Cannot read archived ${path.basename(entry.file)} (v${entry.version}): ${error.message}; stopping history walk`);
+      break;
+    }
+
+    for (const [aideId, streak] of streaks) {
+      if (!streak.open) continue;
+      if (earlier.has(aideId)) {
+        streak.since = entry.archivedAt;
+        streak.pulls++;
+      } else {
+        streak.open = false;
+      }
+    }
+  }
+
+  return streaks;
+}
+
+/**
+ * Write the compliance exception list for a downloaded aide roster report
+ * @param {string} filePath - Downloaded file
+ * @param {Object} reportDef - Report definition
+ * @param {Object} options - Processor options from config.yaml
+ * @param {Object} context - Run context
+ * @param {string} context.reportName - Report name (to find archived downloads)
+ * @param {Object} [context.parameters] - Report parameters
+ * @param {string} [context.timezone] - Agency timezone
+ * @param {Object} logger - Logger instance
+ * @returns {{files: string[], count: number}} Written files and number of exceptions
+ */
+export function runComplianceCheck(filePath, reportDef, options, context, logger) {
+  const settings = {
+    columns: { ...DEFAULT_COMPLIANCE_COLUMNS, ...options.columns },
+    minCompliance: options.min_compliance ?? DEFAULT_MIN_COMPLIANCE,
+    completedStatuses: options.completed_statuses || DEFAULT_COMPLETED_STATUSES
+  };
+  const today = todayInTimezone(context.timezone);
+  const maxHistory = options.max_history ?? DEFAULT_MAX_HISTORY;
+
+  const current = findComplianceExceptions(readReportRecords(filePath, reportDef, { raw: true, percentCells: true }).records, settings);
+  const history = listReportDownloads({ reportName: context.reportName, params: context.parameters })
+    .filter(entry => path.resolve(entry.sourceFile || '') !== path.resolve(filePath))
+    .slice(-maxHistory);
+  const streaks = traceNonComplianceStreaks(current, history, reportDef, settings, logger);
+
+  const rows = [...current].map(([aideId, { record, reasons }]) => {
+    const streak = streaks.get(aideId);
+    const since = streak.since ? todayInTimezone(context.timezone, new Date(streak.since)) : today;
+    return {
+      aideId,
+      aideName: record[settings.columns.aide_name] ?? null,
+      trainingStatus: record[settings.columns.training_status] ?? null,
+      compliance: parsePercent(record[settings.columns.compliance]),
+      reasons: reasons.join('; '),
+      since,
+      days: Math.round((parseDate(today).getTime() - parseDate(since).getTime()) / DAY_MS),
+      pulls: streak.pulls
+    };
+  }).sort((a, b) => b.days - a.days || String(a.aideName).localeCompare(String(b.aideName)));
+
+  const columns = ['aide_id', 'aide_name', 'training_status', 'compliance_pct', 'reasons', 'non_compliant_since', 'days_non_compliant', 'consecutive_pulls'];
+  const values = rows.map(row => [row.aideId, row.aideName, row.trainingStatus, row.compliance, row.reasons, row.since, row.days, row.pulls]);
+
+  const { dir, name } = path.parse(filePath);
+  const csvPath = path.join(dir, `${name}.compliance-exceptions.csv`);
+  const htmlPath = path.join(dir, `${name}.compliance-exceptions.html`);
+
+  writeCsvFile(csvPath, columns, values);
+  writeDataFile(htmlPath, renderHtmlPage(
+    'Aide Compliance Exceptions',
+    `<p>${rows.length} aide(s) need attention as of ${today} ` +
+    `(threshold ${settings.minCompliance}%, ${history.length} earlier pull(s) checked).</p>\n` +
+    renderHtmlTable(
+      ['Aide ID', 'Aide Name', 'Training Status', 'Compliance %', 'Reasons', 'Non-compliant Since', 'Days', 'Pulls'],
+      values
+    )
+  ));
+
+  logger.info(`Compliance: ${rows.length} aide(s) below ${settings.minCompliance}% or with training not completed`);
+  return { files: [csvPath, htmlPath], count: rows.length };
+}
@@ -0,0 +1,750 @@
+import fs from 'fs';
+import yaml from 'js-yaml';
+import Ajv from 'ajv';
+import cronParser from 'cron-parser';
+import { parseDocument, LineCounter, isMap, isSeq } from 'yaml';
+import { isValidPeriod, todayInTimezone, validateDate } from './periods.js';
+import { PARAMETER_TYPES } from './parameters.js';
+import { STEP_TYPES } from './navigation.js';
+import { OUTPUT_TYPES, OUTPUT_FORMATS } from './normalize.js';
+import { POST_PROCESSOR_TYPES, getPostProcessorSchemas } from './postprocess.js';
+import { PAYROLL_FIELDS } from './payroll.js';
+import { DELIVERY_TYPES, getDeliverySchemas, getTargetName } from './delivery.js';
+import { FILENAME_FIELDS } from './downloads.js';
+import { DEFAULT_VISIT_COLUMNS, DEFAULT_AUTHORIZATION_COLUMNS, HOURS_PERIODS } from './reconcile.js';
+
+/**
+ * config.yaml schema
+ * The JSON Schema below covers structure and types; checkSemantics() covers
+ * what a schema cannot express (regexes compile, periods and cron
+ * expressions parse, schedules reference reports that exist).
+ */
+
+const selectorString = { type: 'string', minLength: 1 };
+
+const COLUMN_TYPES = ['string', 'date', 'number', 'integer'];
+
+const STEP_REQUIREMENTS = {
+  click: ['selector'],
+  hover: ['selector'],
+  fill: ['selector', 'value'],
+  select_option: ['selector', 'value'],
+  check: ['selector'],
+  press_key: ['key'],
+  wait_for_selector: ['selector'],
+  wait_for_url: [],
+  assert_text: ['selector'],
+  goto: ['url'],
+  sleep: ['ms'],
+  wait: []
+};
+
+const menuStepSchema = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['type'],
+  properties: {
+    type: { enum: STEP_TYPES },
+    description: { type: 'string' },
+    selector: selectorString,
+    value: { type: ['string', 'number', 'array'], items: { type: ['string', 'number'] } },
+    key: { type: 'string', minLength: 1 },
+    url: { type: 'string', minLength: 1 },
+    url_regex: { type: 'string', minLength: 1 },
+    text: { type: 'string' },
+    text_regex: { type: 'string', minLength: 1 },
+    state: { enum: ['visible', 'hidden', 'attached', 'detached'] },
+    checked: { type: 'boolean' },
+    ms: { type: 'integer', minimum: 0 },
+    timeout: { type: 'integer', minimum: 1 },
+    optional: { type: 'boolean' },
+    if_present: selectorString
+  },
+  allOf: Object.entries(STEP_REQUIREMENTS).map(([type, required]) => ({
+    if: { properties: { type: { const: type } }, required: ['type'] },
+    then: { required }
+  }))
+};
+
+const parameterValue = {
+  type: ['string', 'number', 'boolean', 'array'],
+  items: { type: ['string', 'number'] }
+};
+
+const parameterSchema = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['selector'],
+  properties: {
+    selector: selectorString,
+    type: { enum: PARAMETER_TYPES },
+    default: parameterValue,
+    required: { type: 'boolean' },
+    description: { type: 'string' }
+  }
+};
+
+const postProcessorSchema = {
+  type: 'object',
+  required: ['type'],
+  properties: {
+    type: { enum: POST_PROCESSOR_TYPES }
+  },
+  allOf: Object.entries(getPostProcessorSchemas()).map(([type, schema]) => ({
+    if: { properties: { type: { const: type } }, required: ['type'] },
+    then: schema
+  }))
+};
+
+const deliveryTargetSchema = {
+  type: 'object',
+  required: ['type'],
+  properties: {
+    type: { enum: DELIVERY_TYPES }
+  },
+  allOf: Object.entries(getDeliverySchemas()).map(([type, schema]) => ({
+    if: { properties: { type: { const: type } }, required: ['type'] },
+    then: schema
+  }))
+};
+
+// A bare string is shorthand for { source: <string> }; object keywords only apply to objects
+const outputColumnSchema = {
+  type: ['string', 'object'],
+  minLength: 1,
+  additionalProperties: false,
+  required: ['source'],
+  properties: {
+    source: {
+      type: ['string', 'array'],
+      minLength: 1,
+      minItems: 1,
+      items: { type: 'string', minLength: 1 }
+    },
+    type: { enum: OUTPUT_TYPES },
+    optional: { type: 'boolean' }
+  }
+};
+
+const reportSchema = {
+  type: 'object',
+  additionalProperties: false,
+  required: [
+    'start_url',
+    'menu_steps',
+    'date_range_selectors',
+    'download_trigger',
+    'expected_filename_regex'
+  ],
+  properties: {
+    description: { type: 'string' },
+    start_url: { type: 'string', pattern: '^https?://' },
+    default_period: { type: 'string' },
+    max_range_days: { type: 'integer', minimum: 1 },
+    menu_steps: { type: 'array', items: menuStepSchema },
+    date_range_selectors: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['from', 'to'],
+      properties: {
+        from: selectorString,
+        to: selectorString
+      }
+    },
+    parameters: {
+      type: 'object',
+      propertyNames: { pattern: '^[A-Za-z0-9_-]+$' },
+      additionalProperties: parameterSchema
+    },
+    run_button_selector: { type: ['string', 'null'] },
+    download_trigger: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['trigger_selector'],
+      properties: {
+        trigger_selector: selectorString,
+        trigger_type: { enum: ['click', 'submit'] },
+        frame_selector: selectorString,
+        opens_popup: { type: 'boolean' },
+        popup_trigger_selector: selectorString,
+        popup_frame_selector: selectorString,
+        download_timeout: { type: 'integer', minimum: 1000 },
+        mode: { enum: ['direct', 'report_center'] },
+        report_center: {
+          type: 'object',
+          additionalProperties: false,
+          required: ['row_selector'],
+          properties: {
+            url: { type: 'string', pattern: '^https?://' },
+            open_selector: selectorString,
+            row_selector: selectorString,
+            row_match: { type: 'string', minLength: 1 },
+            status_selector: selectorString,
+            completed_text: { type: 'string', minLength: 1 },
+            failed_text: { type: 'string' },
+            download_selector: selectorString,
+            refresh_selector: selectorString,
+            poll_interval: { type: 'integer', minimum: 1000 },
+            timeout: { type: 'integer', minimum: 1000 }
+          }
+        }
+      }
+    },
+    expected_filename_regex: { type: 'string', minLength: 1 },
+    filename_template: { type: 'string', minLength: 1 },
+    output: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['columns'],
+      properties: {
+        columns: {
+          type: 'object',
+          minProperties: 1,
+          propertyNames: { pattern: '^[A-Za-z_][A-Za-z0-9_]*$' },
+          additionalProperties: outputColumnSchema
+        },
+        formats: { type: 'array', minItems: 1, uniqueItems: true, items: { enum: OUTPUT_FORMATS } },
+        sheet: { type: ['string', 'integer'], minimum: 1, minLength: 1 },
+        header_row: { type: 'integer', minimum: 1 }
+      }
+    },
+    post_process: { type: 'array', items: postProcessorSchema },
+    deliver: { type: 'array', items: deliveryTargetSchema },
+    diff: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['key'],
+      properties: {
+        key: { type: 'array', minItems: 1, uniqueItems: true, items: { type: 'string', minLength: 1 } },
+        ignore: { type: 'array', items: { type: 'string', minLength: 1 } }
+      }
+    },
+    warehouse: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['primary_key'],
+      properties: {
+        table: { type: 'string', pattern: '^[A-Za-z_][A-Za-z0-9_]*$' },
+        primary_key: { type: 'array', minItems: 1, uniqueItems: true, items: { type: 'string', minLength: 1 } }
+      }
+    },
+    validation: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        required_columns: { type: 'array', items: { type: 'string', minLength: 1 } },
+        min_rows: { type: 'integer', minimum: 0 },
+        sheet: { type: ['string', 'integer'], minimum: 1, minLength: 1 },
+        header_row: { type: 'integer', minimum: 1 },
+        strict: { type: 'boolean' },
+        unique_key: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+        columns: {
+          type: 'object',
+          additionalProperties: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+              type: { enum: COLUMN_TYPES },
+              regex: { type: 'string', minLength: 1 },
+              not_null_percent: { type: 'number', minimum: 0, maximum: 100 },
+              allowed_values: { type: 'array', minItems: 1, items: { type: ['string', 'number', 'boolean'] } },
+              within_range: { type: 'boolean' }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+const scheduleSchema = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['cron', 'reports'],
+  properties: {
+    cron: { type: 'string', minLength: 1 },
+    reports: {
+      type: ['array', 'string'],
+      items: { type: 'string', minLength: 1 },
+      minItems: 1,
+      minLength: 1
+    },
+    period: { type: 'string' },
+    deliver_to: { type: 'string', minLength: 1 },
+    params: {
+      type: 'object',
+      additionalProperties: parameterValue
+    },
+    catch_up: { type: 'boolean' },
+    max_catch_up: { type: 'integer', minimum: 0 },
+    enabled: { type: 'boolean' }
+  }
+};
+
+/**
+ * Build a schema for a map of column names with the given keys
+ * @param {Object} defaults - Default column names keyed by role
+ * @returns {Object} JSON Schema
+ */
+function columnMapSchema(defaults) {
+  return {
+    type: 'object',
+    additionalProperties: false,
+    properties: Object.fromEntries(Object.keys(defaults).map(key => [key, { type: 'string', minLength: 1 }]))
+  };
+}
+
+const reconciliationSchema = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['visits', 'authorizations'],
+  properties: {
+    visits: { type: 'string', minLength: 1 },
+    authorizations: { type: 'string', minLength: 1 },
+    active_statuses: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+    hours_period: { enum: HOURS_PERIODS },
+    visit_columns: columnMapSchema(DEFAULT_VISIT_COLUMNS),
+    authorization_columns: columnMapSchema(DEFAULT_AUTHORIZATION_COLUMNS)
+  }
+};
+
+/**
+ * Build the schema of one retention policy block
+ * @param {string[]} extra - Optional keys besides keep_days
+ * @returns {Object} JSON Schema
+ */
+function retentionPolicySchema(extra) {
+  const counts = {
+    keep_last_per_report: { type: 'integer', minimum: 0 },
+    failure_keep_days: { type: 'number', minimum: 1 }
+  };
+  return {
+    type: 'object',
+    additionalProperties: false,
+    required: ['keep_days'],
+    properties: {
+      keep_days: { type: 'number', minimum: 1 },
+      ...Object.fromEntries(extra.map(key => [key, counts[key]]))
+    }
+  };
+}
+
+const retentionSchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    cron: { type: 'string', minLength: 1 },
+    downloads: retentionPolicySchema(['keep_last_per_report', 'failure_keep_days']),
+    logs: retentionPolicySchema(['failure_keep_days']),
+    screenshots: retentionPolicySchema([]),
+    archive: retentionPolicySchema(['keep_last_per_report']),
+    decrypted: retentionPolicySchema([])
+  }
+};
+
+export const CONFIG_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['reports'],
+  properties: {
+    global: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        base_url: { type: 'string', pattern: '^https?://' },
+        default_timeout: { type: 'integer', minimum: 1 },
+        retry_attempts: { type: 'integer', minimum: 0 },
+        timezone: { type: 'string', minLength: 1 },
+        warehouse_path: { type: 'string', minLength: 1 },
+        encryption: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            enabled: { type: 'boolean' },
+            key_file: { type: 'string', minLength: 1 }
+          }
+        }
+      }
+    },
+    reports: {
+      type: 'object',
+      minProperties: 1,
+      propertyNames: { pattern: '^[A-Za-z0-9_-]+$' },
+      additionalProperties: reportSchema
+    },
+    schedules: {
+      type: ['object', 'null'],
+      propertyNames: { pattern: '^[A-Za-z0-9_-]+$' },
+      additionalProperties: scheduleSchema
+    },
+    retention: retentionSchema,
+    reconciliations: {
+      type: ['object', 'null'],
+      propertyNames: { pattern: '^[A-Za-z0-9_-]+$' },
+      additionalProperties: reconciliationSchema
+    }
+  }
+};
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+const validateSchema = ajv.compile(CONFIG_SCHEMA);
+
+/**
+ * Convert an Ajv JSON pointer to path segments
+ * @param {string} pointer - JSON pointer (e.g. /reports/x/menu_steps/0)
+ * @returns {Array<string|number>} Path segments
+ */
+function pointerToPath(pointer) {
+  if (!pointer) return [];
+  return pointer
+    .split('/')
+    .slice(1)
+    .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .map(segment => (/^\d+$/.test(segment) ? Number(segment) : segment));
+}
+
+/**
+ * Format path segments as a YAML path (reports.x.menu_steps[0].type)
+ * @param {Array<string|number>} segments - Path segments
+ * @returns {string} Readable path
+ */
+export function formatPath(segments) {
+  if (segments.length === 0) return '(root)';
+  return segments
+    .map((segment, i) => (typeof segment === 'number' ? `[${segment}]` : `${i === 0 ? '' : '.'}${segment}`))
+    .join('');
+}
+
+/**
+ * Turn an Ajv error into a config problem
+ * @param {Object} error - Ajv error
+ * @returns {{path: Array<string|number>, message: string}|null} Problem, or null if covered by another error
+ */
+function describeSchemaError(error) {
+  const segments = pointerToPath(error.instancePath);
+
+  switch (error.keyword) {
+    case 'if':
+      // The failing "then" branch is reported separately
+      return null;
+    case 'additionalProperties':
+      return {
+        path: [...segments, error.params.additionalProperty],
+        message: `unknown key "${error.params.additionalProperty}"`
+      };
+    case 'required':
+      return { path: segments, message: `missing required key "${error.params.missingProperty}"` };
+    case 'enum':
+      return { path: segments, message: `must be one of: ${error.params.allowedValues.join(', ')}` };
+    case 'propertyNames':
+      return { path: segments, message: `invalid name "${error.params.propertyName}" (use letters, digits, _ and -)` };
+    case 'pattern':
+      return { path: segments, message: `does not match ${error.params.pattern}` };
+    default:
+      return { path: segments, message: error.message };
+  }
+}
+
+/**
+ * Checks that JSON Schema cannot express
+ * @param {Object} config - Parsed configuration
+ * @returns {Array<{path: Array<string|number>, message: string}>} Problems
+ */
+function checkSemantics(config) {
+  const problems = [];
+  const reports = config.reports && typeof config.reports === 'object' ? config.reports : {};
+
+  const timezone = config.global?.timezone;
+  if (typeof timezone === 'string') {
+    try {
+      todayInTimezone(timezone);
+    } catch (error) {
+      problems.push({ path: ['global', 'timezone'], message: `unknown timezone "${timezone}"` });
+    }
+  }
+
+  for (const [name, report] of Object.entries(reports)) {
+    if (!report || typeof report !== 'object') continue;
+
+    if (typeof report.expected_filename_regex === 'string') {
+      try {
+        new RegExp(report.expected_filename_regex);
+      } catch (error) {
+        problems.push({ path: ['reports', name, 'expected_filename_regex'], message: `invalid regex: ${error.message}` });
+      }
+    }
+
+    if (typeof report.filename_template === 'string') {
+      const templatePath = ['reports', name, 'filename_template'];
+      for (const [, field] of report.filename_template.matchAll(/\{([A-Za-z0-9_.-]+)\}/g)) {
+        const paramName = field.startsWith('param.') ? field.slice('param.'.length) : null;
+        if (paramName !== null ? !report.parameters?.[paramName] : !FILENAME_FIELDS.includes(field)) {
+          problems.push({ path: templatePath, message: `unknown field {${field}} (use ${FILENAME_FIELDS.join(', ')} or param.<name>)` });
+        }
+      }
+      if (/[\\/]/.test(report.filename_template)) {
+        problems.push({ path: templatePath, message: 'must be a file name, not a path' });
+      }
+      // Readers pick CSV or Excel parsing by extension
+      if (!/\.(\{ext\}|[A-Za-z0-9]+)$/.test(report.filename_template)) {
+        problems.push({ path: templatePath, message: 'must end with an extension, usually .{ext}' });
+      }
+    }
+
+    if (typeof report.default_period === 'string' && !isValidPeriod(report.default_period)) {
+      problems.push({ path: ['reports', name, 'default_period'], message: `unknown period "${report.default_period}"` });
+    }
+
+    (Array.isArray(report.menu_steps) ? report.menu_steps : []).forEach((step, i) => {
+      if (!step || typeof step !== 'object') return;
+      const stepPath = ['reports', name, 'menu_steps', i];
+
+      if (step.type === 'wait_for_url' && !step.url && !step.url_regex) {
+        problems.push({ path: stepPath, message: 'wait_for_url needs url or url_regex' });
+      }
+      if (step.type === 'wait' && !step.selector && step.ms === undefined) {
+        problems.push({ path: stepPath, message: 'wait needs selector or ms' });
+      }
+      if (step.type === 'assert_text' && step.text === undefined && !step.text_regex) {
+        problems.push({ path: stepPath, message: 'assert_text needs text or text_regex' });
+      }
+      for (const field of ['url_regex', 'text_regex']) {
+        if (typeof step[field] !== 'string') continue;
+        const match = step[field].match(/^\/(.+)\/([a-z]*)$/);
+        try {
+          match ? new RegExp(match[1], match[2]) : new RegExp(step[field]);
+        } catch (error) {
+          problems.push({ path: [...stepPath, field], message: `invalid regex: ${error.message}` });
+        }
+      }
+    });
+
+    const trigger = report.download_trigger;
+    if (trigger && typeof trigger === 'object' && !trigger.opens_popup &&
+      (trigger.popup_trigger_selector || trigger.popup_frame_selector)) {
+      problems.push({ path: ['reports', name, 'download_trigger'], message: 'popup_* settings need opens_popup: true' });
+    }
+    if (trigger && typeof trigger === 'object' && trigger.mode === 'report_center' && !trigger.report_center) {
+      problems.push({ path: ['reports', name, 'download_trigger'], message: 'mode report_center needs a report_center block' });
+    }
+    for (const field of ['completed_text', 'failed_text']) {
+      const pattern = trigger?.report_center?.[field];
+      if (typeof pattern !== 'string') continue;
+      try {
+        new RegExp(pattern);
+      } catch (error) {
+        problems.push({ path: ['reports', name, 'download_trigger', 'report_center', field], message: `invalid regex: ${error.message}` });
+      }
+    }
+
+    for (const [column, rules] of Object.entries(report.validation?.columns || {})) {
+      if (!rules || typeof rules !== 'object') continue;
+      const columnPath = ['reports', name, 'validation', 'columns', column];
+
+      if (typeof rules.regex === 'string') {
+        try {
+          new RegExp(rules.regex);
+        } catch (error) {
+          problems.push({ path: [...columnPath, 'regex'], message: `invalid regex: ${error.message}` });
+        }
+      }
+      if (rules.within_range && rules.type !== 'date') {
+        problems.push({ path: [...columnPath, 'within_range'], message: 'within_range needs type: date' });
+      }
+    }
+
+    for (const [block, field] of [['warehouse', 'primary_key'], ['diff', 'key']]) {
+      if (!report.output?.columns || !Array.isArray(report[block]?.[field])) continue;
+      report[block][field].forEach((column, i) => {
+        if (!Object.prototype.hasOwnProperty.call(report.output.columns, column)) {
+          problems.push({ path: ['reports', name, block, field, i], message: `"${column}" is not an output column` });
+        }
+      });
+    }
+
+    (Array.isArray(report.post_process) ? report.post_process : []).forEach((processor, i) => {
+      if (processor?.type !== 'payroll') return;
+      const processorPath = ['reports', name, 'post_process', i];
+
+      const anchor = processor.pay_period?.anchor;
+      if (typeof anchor === 'string' && !validateDate(anchor)) {
+        problems.push({ path: [...processorPath, 'pay_period', 'anchor'], message: `invalid date "${anchor}"` });
+      }
+      if (typeof processor.double_time_after === 'number' && processor.double_time_after < (processor.overtime_after ?? 40)) {
+        problems.push({ path: [...processorPath, 'double_time_after'], message: 'double_time_after must not be below overtime_after' });
+      }
+      (Array.isArray(processor.template) ? processor.template : []).forEach((column, j) => {
+        for (const [, field] of String(column?.value ?? '').matchAll(/\{([A-Za-z0-9_.-]+)\}/g)) {
+          if (!PAYROLL_FIELDS.includes(field)) {
+            problems.push({ path: [...processorPath, 'template', j, 'value'], message: `unknown field {${field}} (use ${PAYROLL_FIELDS.join(', ')})` });
+          }
+        }
+      });
+    });
+
+    // Target names identify deliveries in the ledger, so they must be unique per report
+    const targetNames = new Set();
+    (Array.isArray(report.deliver) ? report.deliver : []).forEach((target, i) => {
+      if (!target || typeof target !== 'object') return;
+      const targetName = getTargetName(target, i);
+      if (targetNames.has(targetName)) {
+        problems.push({ path: ['reports', name, 'deliver', i, 'name'], message: `duplicate delivery target name "${targetName}"` });
+      }
+      targetNames.add(targetName);
+      if (target.type === 'sftp' && !target.password_env && !target.private_key_path) {
+        problems.push({ path: ['reports', name, 'deliver', i], message: 'sftp needs password_env or private_key_path' });
+      }
+      if (target.type === 'sftp' && !target.username && !target.username_env) {
+        problems.push({ path: ['reports', name, 'deliver', i], message: 'sftp needs username or username_env' });
+      }
+      // Recipients have no key, so an encrypted attachment is unreadable to them
+      if (target.type === 'email' && config.global?.encryption?.enabled && !target.decrypt) {
+        problems.push({ path: ['reports', name, 'deliver', i, 'decrypt'], message: 'email attachments would be encrypted; set decrypt: true' });
+      }
+    });
+
+    for (const [paramName, parameter] of Object.entries(report.parameters || {})) {
+      if (parameter?.type === 'checkbox' && parameter.default !== undefined && typeof parameter.default !== 'boolean') {
+        problems.push({ path: ['reports', name, 'parameters', paramName, 'default'], message: 'checkbox default must be true or false' });
+      }
+    }
+  }
+
+  for (const [name, job] of Object.entries(config.schedules || {})) {
+    if (!job || typeof job !== 'object') continue;
+
+    if (typeof job.cron === 'string') {
+      try {
+        cronParser.parseExpression(job.cron);
+      } catch (error) {
+        problems.push({ path: ['schedules', name, 'cron'], message: `invalid cron expression: ${error.message}` });
+      }
+    }
+
+    if (typeof job.period === 'string' && !isValidPeriod(job.period)) {
+      problems.push({ path: ['schedules', name, 'period'], message: `unknown period "${job.period}"` });
+    }
+
+    const jobReports = Array.isArray(job.reports) ? job.reports : String(job.reports || '').split(',');
+    for (const paramName of Object.keys(job.params || {})) {
+      const declared = jobReports.some(report => reports[String(report).trim()]?.parameters?.[paramName]);
+      if (!declared) {
+        problems.push({ path: ['schedules', name, 'params', paramName], message: `parameter "${paramName}" is not declared by any of the job's reports` });
+      }
+    }
+    jobReports.forEach((report, i) => {
+      const reportName = String(report).trim();
+      if (reportName && !reports[reportName]) {
+        const reportPath = Array.isArray(job.reports) ? ['schedules', name, 'reports', i] : ['schedules', name, 'reports'];
+        problems.push({ path: reportPath, message: `unknown report "${reportName}"` });
+      }
+    });
+  }
+
+  if (typeof config.retention?.cron === 'string') {
+    try {
+      cronParser.parseExpression(config.retention.cron);
+    } catch (error) {
+      problems.push({ path: ['retention', 'cron'], message: `invalid cron expression: ${error.message}` });
+    }
+  }
+
+  for (const [name, reconciliation] of Object.entries(config.reconciliations || {})) {
+    if (!reconciliation || typeof reconciliation !== 'object') continue;
+
+    for (const field of ['visits', 'authorizations']) {
+      if (typeof reconciliation[field] === 'string' && !reports[reconciliation[field]]) {
+        problems.push({ path: ['reconciliations', name, field], message: `unknown report "${reconciliation[field]}"` });
+      }
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Find the source line of a YAML path, falling back to the nearest ancestor
+ * that exists (e.g. the parent map for a missing key)
+ * @param {import('yaml').Document} doc - Parsed YAML document
+ * @param {LineCounter} lineCounter - Line counter used while parsing
+ * @param {Array<string|number>} segments - Path segments
+ * @returns {number|null} 1-based line number
+ */
+function findLine(doc, lineCounter, segments) {
+  let node = doc.contents;
+  let offset = node?.range ? node.range[0] : null;
+
+  for (const segment of segments) {
+    if (isMap(node)) {
+      const pair = node.items.find(item => String(item.key?.value ?? item.key) === String(segment));
+      if (!pair) break;
+      offset = pair.key?.range ? pair.key.range[0] : offset;
+      node = pair.value;
+    } else if (isSeq(node) && typeof segment === 'number' && node.items[segment]) {
+      node = node.items[segment];
+      offset = node.range ? node.range[0] : offset;
+    } else {
+      break;
+    }
+  }
+
+  return offset === null ? null : lineCounter.linePos(offset).line;
+}
+
+/**
+ * Validate a parsed configuration object
+ * @param {Object} config - Parsed configuration
+ * @returns {Array<{path: Array<string|number>, message: string}>} Problems (empty when valid)
+ */
+export function validateConfig(config) {
+  const problems = [];
+
+  if (!validateSchema(config)) {
+    problems.push(...validateSchema.errors.map(describeSchemaError).filter(Boolean));
+  }
+
+  if (config && typeof config === 'object') {
+    problems.push(...checkSemantics(config));
+  }
+
+  return problems;
+}
+
+/**
+ * Validate a config.yaml file and attach YAML paths and line numbers
+ * @param {string} configPath - Path to config.yaml
+ * @returns {Array<{path: string, line: number|null, message: string}>} Problems (empty when valid)
+ */
+export function validateConfigFile(configPath) {
+  const source = fs.readFileSync(configPath, 'utf8');
+
+  let config;
+  try {
+    config = yaml.load(source);
+  } catch (error) {
+    return [{ path: '(root)', line: error.mark ? error.mark.line + 1 : null, message: `YAML syntax error: ${error.reason || error.message}` }];
+  }
+
+  const lineCounter = new LineCounter();
+  const doc = parseDocument(source, { lineCounter });
+
+  return validateConfig(config ?? {})
+    .map(problem => ({
+      path: formatPath(problem.path),
+      line: findLine(doc, lineCounter, problem.path),
+      message: problem.message
+    }))
+    .sort((a, b) => (a.line ?? 0) - (b.line ?? 0));
+}
+
+/**
+ * Format problems for display, one per line
+ * @param {string} configPath - Path to config.yaml (for the prefix)
+ * @param {Array<{path: string, line: number|null, message: string}>} problems - Problems
+ * @returns {string[]} Lines
+ */
+export function formatConfigProblems(configPath, problems) {
+  return problems.map(problem =>
+    `${configPath}${problem.line ? `:${problem.line}` : ''} ${problem.path}: ${problem.message}`
+  );
+}
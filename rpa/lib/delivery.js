@@ -0,0 +1,632 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import SftpClient from 'ssh2-sftp-client';
+import { S3Client, PutObjectCommand } from '@aws-sdk/client-s3';
+import nodemailer from 'nodemailer';
+import AdmZip from 'adm-zip';
+import { renderTemplate } from './templates.js';
+import { readDataFile } from './encryption.js';
+import { getValidationReportPath } from './validation.js';
+import { todayInTimezone } from './periods.js';
+import { getStateDir } from './scheduler.js';
+
+/**
+ * Report delivery
+ * A report's `deliver:` list sends each new download (and optionally files
+ * derived from it) to one or more targets:
+ *
+ *   deliver:
+ *     - type: folder
+ *       path: "/mnt/shared/{report}/{from}_to_{to}/{filename}"
+ *     - type: sftp
+ *       host: sftp.example.com
+ *       path: "/incoming/{filename}"
+ *     - type: s3
+ *       bucket: reports
+ *       key: "{report}/{date}/{filename}"
+ *     - type: email
+ *       to: [manager@example.com]
+ *       subject: "{report} {from} to {to}"
+ *
+ * An email target sends one message per download with the download and its
+ * included files attached; the other targets send each file separately.
+ *
+ * Every delivery is recorded in state/deliveries.json. A failed delivery is
+ * retried later from the session file (or its archived copy) by
+ * `rpa:deliver --retry` and by the scheduler; the report is never downloaded
+ * again for it.
+ */
+
+const LEDGER_FILE = 'deliveries.json';
+const DEFAULT_RETRIES = 2;
+const RETRY_DELAY_MS = 2000;
+const RETRY_BACKOFF_MINUTES = 5;
+const MAX_BACKOFF_MINUTES = 6 * 60;
+const MAX_PASSES = 10;
+const DEFAULT_MAX_ATTACHMENT_MB = 10;
+const DEFAULT_SUBJECT = '{report} {from} to {to}';
+const DEFAULT_BODY = '{report} for {from} to {to} is attached.';
+
+const commonProperties = {
+  type: { type: 'string' },
+  name: { type: 'string', minLength: 1 },
+  include: { type: 'array', items: { type: 'string', minLength: 1 } },
+  decrypt: { type: 'boolean' },
+  retries: { type: 'integer', minimum: 0 }
+};
+
+const FOLDER_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['path'],
+  properties: {
+    ...commonProperties,
+    type: { const: 'folder' },
+    path: { type: 'string', minLength: 1 }
+  }
+};
+
+const SFTP_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['host', 'path'],
+  properties: {
+    ...commonProperties,
+    type: { const: 'sftp' },
+    host: { type: 'string', minLength: 1 },
+    port: { type: 'integer', minimum: 1, maximum: 65535 },
+    username: { type: 'string', minLength: 1 },
+    username_env: { type: 'string', minLength: 1 },
+    password_env: { type: 'string', minLength: 1 },
+    private_key_path: { type: 'string', minLength: 1 },
+    passphrase_env: { type: 'string', minLength: 1 },
+    path: { type: 'string', minLength: 1 }
+  }
+};
+
+const S3_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['bucket', 'key'],
+  properties: {
+    ...commonProperties,
+    type: { const: 's3' },
+    bucket: { type: 'string', minLength: 1 },
+    key: { type: 'string', minLength: 1 },
+    endpoint: { type: 'string', pattern: '^https?://' },
+    region: { type: 'string', minLength: 1 },
+    force_path_style: { type: 'boolean' },
+    access_key_env: { type: 'string', minLength: 1 },
+    secret_key_env: { type: 'string', minLength: 1 }
+  }
+};
+
+const EMAIL_ADDRESS = { type: 'string', pattern: '^[^@\\s]+@[^@\\s]+$' };
+
+const EMAIL_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['to'],
+  properties: {
+    ...commonProperties,
+    type: { const: 'email' },
+    to: { type: 'array', minItems: 1, items: EMAIL_ADDRESS },
+    cc: { type: 'array', items: EMAIL_ADDRESS },
+    bcc: { type: 'array', items: EMAIL_ADDRESS },
+    subject: { type: 'string', minLength: 1 },
+    body: { type: 'string', minLength: 1 },
+    zip: { type: 'boolean' },
+    zip_name: { type: 'string', minLength: 1 },
+    max_attachment_mb: { type: 'number', exclusiveMinimum: 0 }
+  }
+};
+
+/**
+ * Create an error that retrying cannot fix (the delivery is abandoned at once)
+ * @param {string} message - Error message
+ * @returns {Error} Error marked permanent
+ */
+function permanentError(message) {
+  const error = new Error(message);
+  error.permanent = true;
+  return error;
+}
+
+/**
+ * Format a byte count for people
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Size such as "12 KB" or "1.25 MB"
+ */
+function formatSize(bytes) {
+  return bytes < 1024 * 1024 ? `${Math.ceil(bytes / 1024)} KB` : `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+}
+
+/**
+ * Get a required environment variable named by a target setting
+ * @param {string} name - Variable name
+ * @returns {string} Value
+ */
+function requireEnv(name) {
+  if (!process.env[name]) {
+    throw new Error(`Environment variable ${name} is not set`);
+  }
+  return process.env[name];
+}
+
+/**
+ * Copy a file into a local or network folder (written under a temporary name,
+ * then renamed, so readers never see a partial file)
+ * @param {Object} target - Target settings
+ * @param {Buffer} contents - File contents
+ * @param {string} destination - Destination path
+ */
+async function deliverToFolder(target, contents, destination) {
+  fs.mkdirSync(path.dirname(destination), { recursive: true });
+  const tempPath = `${destination}.${process.pid}.part`;
+  fs.writeFileSync(tempPath, contents);
+  fs.renameSync(tempPath, destination);
+}
+
+/**
+ * Upload a file over SFTP (as <path>.part, then renamed)
+ * @param {Object} target - Target settings
+ * @param {Buffer} contents - File contents
+ * @param {string} destination - Remote path
+ */
+async function deliverToSftp(target, contents, destination) {
+  const sftp = new SftpClient();
+  const connection = {
+    host: target.host,
+    port: target.port ?? 22,
+    username: target.username_env ? requireEnv(target.username_env) : target.username,
+    readyTimeout: 20000
+  };
+  if (target.password_env) {
+    connection.password = requireEnv(target.password_env);
+  }
+  if (target.private_key_path) {
+    connection.privateKey = fs.readFileSync(path.resolve(process.cwd(), target.private_key_path));
+    if (target.passphrase_env) {
+      connection.passphrase = requireEnv(target.passphrase_env);
+    }
+  }
+
+  try {
+    await sftp.connect(connection);
+    const remoteDir = path.posix.dirname(destination);
+    if (!(await sftp.exists(remoteDir))) {
+      await sftp.mkdir(remoteDir, true);
+    }
+
+    const partPath = `${destination}.part`;
+    await sftp.put(contents, partPath);
+    if (await sftp.exists(destination)) {
+      await sftp.delete(destination);
+    }
+    await sftp.rename(partPath, destination);
+  } finally {
+    await sftp.end().catch(() => {});
+  }
+}
+
+/**
+ * Upload a file to an S3-compatible bucket
+ * @param {Object} target - Target settings
+ * @param {Buffer} contents - File contents
+ * @param {string} destination - Object key
+ */
+async function deliverToS3(target, contents, destination) {
+  const accessKeyEnv = target.access_key_env || 'AWS_ACCESS_KEY_ID';
+  const secretKeyEnv = target.secret_key_env || 'AWS_SECRET_ACCESS_KEY';
+  const client = new S3Client({
+    region: target.region || process.env.AWS_REGION || 'us-east-1',
+    endpoint: target.endpoint,
+    // Local S3-compatible stores (MinIO and the like) usually need path-style URLs
+    forcePathStyle: target.force_path_style ?? Boolean(target.endpoint),
+    // Without explicit keys the SDK's default chain (profile, instance role) applies
+    credentials: process.env[accessKeyEnv] && process.env[secretKeyEnv]
+      ? { accessKeyId: process.env[accessKeyEnv], secretAccessKey: process.env[secretKeyEnv] }
+      : undefined
+  });
+
+  try {
+    await client.send(new PutObjectCommand({ Bucket: target.bucket, Key: destination, Body: contents }));
+  } finally {
+    client.destroy();
+  }
+}
+
+/**
+ * Create an SMTP transport from the SMTP_* environment variables
+ * @returns {Object} Nodemailer transport
+ */
+function createSmtpTransport() {
+  const secure = process.env.SMTP_SECURE === 'true';
+  return nodemailer.createTransport({
+    host: requireEnv('SMTP_HOST'),
+    port: Number(process.env.SMTP_PORT) || (secure ? 465 : 587),
+    secure,
+    // Local catch-all servers usually take mail without a login
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: requireEnv('SMTP_PASSWORD') }
+      : undefined
+  });
+}
+
+/**
+ * Email files as attachments of one message (zipped into one attachment with zip: true)
+ * @param {Object} target - Target settings
+ * @param {Array<{filename: string, contents: Buffer}>} files - Files to attach
+ * @param {Object} message - Rendered message ({to, cc, bcc, subject, text, zipName})
+ */
+async function deliverByEmail(target, files, message) {
+  let attachments = files.map(file => ({ filename: file.filename, content: file.contents }));
+  if (target.zip) {
+    const zip = new AdmZip();
+    files.forEach(file => zip.addFile(file.filename, file.contents));
+    attachments = [{ filename: message.zipName, content: zip.toBuffer() }];
+  }
+
+  // Mail servers reject oversized messages outright, so check before connecting
+  const totalBytes = attachments.reduce((sum, attachment) => sum + attachment.content.length, 0);
+  const maxMegabytes = target.max_attachment_mb ?? DEFAULT_MAX_ATTACHMENT_MB;
+  if (totalBytes > maxMegabytes * 1024 * 1024) {
+    throw permanentError(`attachments are ${formatSize(totalBytes)}, over the ${maxMegabytes} MB limit` +
+      (target.zip ? '' : ' (zip: true may bring them under it)'));
+  }
+
+  const from = process.env.SMTP_FROM || process.env.SMTP_USER;
+  if (!from) {
+    throw new Error('Environment variable SMTP_FROM is not set');
+  }
+
+  const listing = attachments.map(attachment => `  ${attachment.filename} (${formatSize(attachment.content.length)})`);
+  const transport = createSmtpTransport();
+  try {
+    await transport.sendMail({
+      from,
+      to: message.to,
+      cc: message.cc,
+      bcc: message.bcc,
+      subject: message.subject,
+      text: `${message.text}\n\nAttachments:\n${listing.join('\n')}\n`,
+      attachments
+    });
+  } finally {
+    transport.close();
+  }
+}
+
+/**
+ * Render an email target's message
+ * @param {Object} target - Target settings
+ * @param {Object} values - Template values
+ * @returns {Object} Message ({to, cc, bcc, subject, text, zipName})
+ */
+function renderEmailMessage(target, values) {
+  return {
+    to: target.to,
+    cc: target.cc || [],
+    bcc: target.bcc || [],
+    subject: renderTemplate(target.subject || DEFAULT_SUBJECT, values),
+    text: renderTemplate(target.body || DEFAULT_BODY, values),
+    zipName: renderTemplate(target.zip_name || '{name}.zip', values)
+  };
+}
+
+// bundle: one delivery carries the download and its included files together.
+// validatedOnly: never sent when the download failed validation.
+const SINKS = {
+  folder: {
+    deliver: deliverToFolder,
+    schema: FOLDER_SCHEMA,
+    render: (target, values) => renderTemplate(target.path, values),
+    describe: (target, destination) => destination
+  },
+  sftp: {
+    deliver: deliverToSftp,
+    schema: SFTP_SCHEMA,
+    render: (target, values) => renderTemplate(target.path, values),
+    describe: (target, destination) => `sftp://${target.host}${target.port && target.port !== 22 ? `:${target.port}` : ''}${destination}`
+  },
+  s3: {
+    deliver: deliverToS3,
+    schema: S3_SCHEMA,
+    render: (target, values) => renderTemplate(target.key, values),
+    describe: (target, destination) => `s3://${target.bucket}/${destination}`
+  },
+  email: {
+    deliver: deliverByEmail,
+    schema: EMAIL_SCHEMA,
+    render: renderEmailMessage,
+    describe: (target, destination) => `mailto:${destination.to.join(',')}`,
+    bundle: true,
+    validatedOnly: true
+  }
+};
+
+export const DELIVERY_TYPES = Object.keys(SINKS);
+
+/**
+ * Get the config schema of every delivery target type
+ * @returns {Object<string, Object>} JSON Schema per target type
+ */
+export function getDeliverySchemas() {
+  return Object.fromEntries(Object.entries(SINKS).map(([type, sink]) => [type, sink.schema]));
+}
+
+/**
+ * Get the name a target is recorded under
+ * @param {Object} target - Target settings
+ * @param {number} index - Position in the deliver list
+ * @returns {string} Target name
+ */
+export function getTargetName(target, index) {
+  return target.name || `${target.type}-${index + 1}`;
+}
+
+/**
+ * Load the delivery ledger
+ * @returns {{deliveries: Array<Object>}} Ledger
+ */
+export function loadDeliveryLedger() {
+  const ledgerPath = path.join(getStateDir(), LEDGER_FILE);
+  if (!fs.existsSync(ledgerPath)) {
+    return { deliveries: [] };
+  }
+  return JSON.parse(fs.readFileSync(ledgerPath, 'utf8'));
+}
+
+/**
+ * Save the delivery ledger (temp file first, like the archive index)
+ * @param {{deliveries: Array<Object>}} ledger - Ledger
+ */
+export function saveDeliveryLedger(ledger) {
+  const ledgerPath = path.join(getStateDir(), LEDGER_FILE);
+  const tempPath = `${ledgerPath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(ledger, null, 2));
+  fs.renameSync(tempPath, ledgerPath);
+}
+
+/**
+ * Insert or replace one ledger record
+ * @param {Object} record - Delivery record
+ */
+function recordDelivery(record) {
+  const ledger = loadDeliveryLedger();
+  const index = ledger.deliveries.findIndex(entry => entry.id === record.id);
+  if (index === -1) {
+    ledger.deliveries.push(record);
+  } else {
+    ledger.deliveries[index] = record;
+  }
+  saveDeliveryLedger(ledger);
+}
+
+/**
+ * Read whether a download passed validation
+ * @param {string} file - Downloaded file
+ * @returns {boolean|null} Outcome, or null when the report has no validation rules
+ */
+function readValidationOutcome(file) {
+  const reportPath = getValidationReportPath(file);
+  if (!fs.existsSync(reportPath)) {
+    return null;
+  }
+  return JSON.parse(readDataFile(reportPath).toString('utf8')).passed;
+}
+
+/**
+ * Send files to one target, retrying a few times in a row
+ * @param {Object} target - Target settings
+ * @param {Array<{file: string, filename: string}>} sources - Local files and the names to send them under
+ * @param {string|Object} destination - Rendered destination (path, key or message)
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<number>} Attempts made
+ */
+async function sendWithRetries(target, sources, destination, logger) {
+  const sink = SINKS[target.type];
+  const retries = target.retries ?? DEFAULT_RETRIES;
+  // Stored bytes by default (encrypted when encryption at rest is on); decrypt: true sends plaintext
+  const files = sources.map(source => ({
+    filename: source.filename,
+    contents: target.decrypt ? readDataFile(source.file) : fs.readFileSync(source.file)
+  }));
+  const payload = sink.bundle ? files : files[0].contents;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await sink.deliver(target, payload, destination);
+      return attempt;
+    } catch (error) {
+      if (error.permanent || attempt > retries) {
+        error.attempts = attempt;
+        throw error;
+      }
+      const delay = RETRY_DELAY_MS * 2 ** (attempt - 1);
+      logger.warn(`Delivery to ${sink.describe(target, destination)} failed (attempt ${attempt}): ${error.message}; retrying in ${delay}ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Attempt a ledger record's delivery and update the record
+ * @param {Object} record - Delivery record
+ * @param {Object} target - Target settings
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<Object>} Updated record
+ */
+async function attemptDelivery(record, target, logger) {
+  const now = new Date();
+  const sourceFile = [record.file, record.archivedFile].find(file => file && fs.existsSync(file));
+  const updated = { ...record, passes: record.passes + 1, updatedAt: now.toISOString() };
+
+  if (!sourceFile) {
+    logger.error(`Delivery ${record.id}: source file no longer exists (${record.file})`);
+    return { ...updated, status: 'abandoned', error: 'source file no longer exists', nextAttemptAt: null };
+  }
+
+  if (SINKS[record.type].validatedOnly && record.validationPassed === false) {
+    logger.error(`Delivery of ${path.basename(record.file)} to ${record.location} withheld: the download failed validation`);
+    return { ...updated, status: 'abandoned', error: 'download failed validation; not sent', nextAttemptAt: null };
+  }
+
+  // Included files of a bundled delivery only live in the session folder
+  const sources = [{ file: sourceFile, filename: path.basename(record.file) }];
+  for (const file of record.extraFiles || []) {
+    if (fs.existsSync(file)) {
+      sources.push({ file, filename: path.basename(file) });
+    } else {
+      logger.warn(`Delivery ${record.id}: ${path.basename(file)} no longer exists; sending without it`);
+    }
+  }
+
+  try {
+    const attempts = await sendWithRetries(target, sources, record.destination, logger);
+    logger.info(`Delivered ${sources.map(source => source.filename).join(', ')} to ${record.location}`);
+    return { ...updated, status: 'delivered', attempts: record.attempts + attempts, error: null, deliveredAt: new Date().toISOString(), nextAttemptAt: null };
+  } catch (error) {
+    const attempts = record.attempts + (error.attempts || 1);
+    const abandoned = error.permanent || updated.passes >= MAX_PASSES;
+    const backoff = Math.min(RETRY_BACKOFF_MINUTES * 2 ** (updated.passes - 1), MAX_BACKOFF_MINUTES);
+    let outcome = ` (will retry after ${backoff} min)`;
+    if (error.permanent) {
+      outcome = ' (not retried)';
+    } else if (abandoned) {
+      outcome = ` (giving up after ${updated.passes} passes)`;
+    }
+    logger.error(`Delivery of ${path.basename(record.file)} to ${record.location} failed: ${error.message}${outcome}`);
+    return {
+      ...updated,
+      status: abandoned ? 'abandoned' : 'failed',
+      attempts,
+      error: error.message,
+      nextAttemptAt: abandoned ? null : new Date(now.getTime() + backoff * 60 * 1000).toISOString()
+    };
+  }
+}
+
+/**
+ * Deliver a new download to every target in the report's deliver list
+ * @param {Object} config - Full configuration
+ * @param {Object} reportDef - Report definition
+ * @param {Object} source - Files
+ * @param {string} source.file - Downloaded file in the session folder
+ * @param {string} [source.archivedFile] - Archived copy (fallback for retries)
+ * @param {Object} context - Run context
+ * @param {string} context.reportName - Report name
+ * @param {string} [context.fromDate] - Start date
+ * @param {string} [context.toDate] - End date
+ * @param {Object} [context.parameters] - Report parameters
+ * @param {string} [context.sessionId] - Session ID
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<Array<Object>>} One result per delivery ({target, type, file, location, success, error})
+ */
+export async function deliverReport(config, reportDef, source, context, logger) {
+  const { reportName, fromDate = null, toDate = null, parameters = {}, sessionId = null } = context;
+  const validationPassed = readValidationOutcome(source.file);
+  const results = [];
+
+  for (const [index, target] of (reportDef.deliver || []).entries()) {
+    const sink = SINKS[target.type];
+    const targetName = getTargetName(target, index);
+    if (!sink) {
+      logger.error(`Unknown delivery type "${target.type}" (${targetName})`);
+      results.push({ target: targetName, type: target.type, file: source.file, location: null, success: false, error: 'unknown delivery type' });
+      continue;
+    }
+
+    // Derived files named by suffix (e.g. "payroll.csv") go along with the download:
+    // in the same delivery for a bundling target, as deliveries of their own otherwise
+    const { dir, name } = path.parse(source.file);
+    const included = (target.include || []).map(suffix => path.join(dir, `${name}.${suffix}`));
+    const deliveries = sink.bundle
+      ? [{ file: source.file, archivedFile: source.archivedFile || null, extraFiles: included }]
+      : [
+        { file: source.file, archivedFile: source.archivedFile || null, extraFiles: [] },
+        ...included.map(file => ({ file, archivedFile: null, extraFiles: [] }))
+      ];
+
+    for (const { file, archivedFile, extraFiles } of deliveries) {
+      const parsed = path.parse(file);
+      const destination = sink.render(target, {
+        report: reportName,
+        from: fromDate,
+        to: toDate,
+        param: parameters,
+        filename: parsed.base,
+        name: parsed.name,
+        ext: parsed.ext.replace(/^\./, ''),
+        session: sessionId,
+        date: todayInTimezone(config.global?.timezone)
+      });
+      const now = new Date().toISOString();
+      const record = {
+        id: crypto.createHash('sha1').update([sessionId, reportName, targetName, file].join('|')).digest('hex').slice(0, 12),
+        reportName,
+        fromDate,
+        toDate,
+        parameters,
+        sessionId,
+        target: targetName,
+        type: target.type,
+        file,
+        archivedFile,
+        extraFiles,
+        validationPassed,
+        destination,
+        location: sink.describe(target, destination),
+        status: 'pending',
+        attempts: 0,
+        passes: 0,
+        error: null,
+        createdAt: now,
+        updatedAt: now,
+        deliveredAt: null,
+        nextAttemptAt: null
+      };
+
+      const updated = await attemptDelivery(record, target, logger);
+      recordDelivery(updated);
+      results.push({ target: targetName, type: target.type, file, location: updated.location, success: updated.status === 'delivered', error: updated.error });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Retry failed deliveries from the ledger
+ * @param {Object} config - Full configuration (targets are looked up by report and name)
+ * @param {Object} options - Options
+ * @param {boolean} [options.dueOnly] - Only records whose backoff has passed (the scheduler)
+ * @param {boolean} [options.includeAbandoned] - Also retry records that were given up on
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<{retried: number, delivered: number}>} Totals
+ */
+export async function retryFailedDeliveries(config, options, logger) {
+  const { dueOnly = false, includeAbandoned = false } = options;
+  const now = new Date().toISOString();
+  const pending = loadDeliveryLedger().deliveries.filter(record =>
+    (record.status === 'failed' || (includeAbandoned && record.status === 'abandoned')) &&
+    (!dueOnly || !record.nextAttemptAt || record.nextAttemptAt <= now));
+
+  let delivered = 0;
+  for (const record of pending) {
+    const targets = config.reports?.[record.reportName]?.deliver || [];
+    const index = targets.findIndex((target, i) => getTargetName(target, i) === record.target);
+    if (index === -1) {
+      logger.warn(`Delivery ${record.id}: target "${record.target}" is no longer configured for ${record.reportName}; skipping`);
+      continue;
+    }
+
+    logger.info(`Retrying delivery ${record.id} (${record.reportName} -> ${record.target}, pass ${record.passes + 1})`);
+    const updated = await attemptDelivery(record, targets[index], logger);
+    recordDelivery(updated);
+    if (updated.status === 'delivered') delivered++;
+  }
+
+  return { retried: pending.length, delivered };
+}
@@ -0,0 +1,142 @@
+import path from 'path';
+import { writeCsvFile } from './tables.js';
+import { readReportRecords } from './normalize.js';
+
+/**
+ * Download diffs
+ * Compares a new download with the previous archived version of the same
+ * report, matching rows on the key columns from the report's `diff:` block:
+ *
+ *   diff:
+ *     key: ["Patient ID"]
+ *     ignore: ["Report Run Date"]   # optional: columns never compared
+ *
+ * Added, removed and changed rows are written as CSV files next to the new
+ * download and summarized in the log.
+ */
+
+/**
+ * Turn a value into a comparable string
+ * @param {*} value - Row value
+ * @returns {string} Comparable text ('' for blanks)
+ */
+function comparable(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  return String(value).trim();
+}
+
+/**
+ * Index records by their key columns
+ * @param {Array<Object>} records - Row objects
+ * @param {string[]} keyColumns - Key columns
+ * @param {Object} logger - Logger instance
+ * @param {string} label - Which file the records come from (for the log)
+ * @returns {Map<string, Object>} Records by key (last one wins on duplicates)
+ */
+function indexByKey(records, keyColumns, logger, label) {
+  const index = new Map();
+  let duplicates = 0;
+
+  for (const record of records) {
+    const key = JSON.stringify(keyColumns.map(column => comparable(record[column])));
+    if (index.has(key)) duplicates++;
+    index.set(key, record);
+  }
+
+  if (duplicates > 0) {
+    logger.warn(`${label} has ${duplicates} rows with a duplicate key; the last one is compared`);
+  }
+  return index;
+}
+
+/**
+ * Compare two sets of records
+ * @param {{columns: string[], records: Array<Object>}} previous - Previous rows
+ * @param {{columns: string[], records: Array<Object>}} current - Current rows
+ * @param {Object} diffDef - Diff definition (key, ignore)
+ * @param {Object} logger - Logger instance
+ * @returns {{added: Array<Object>, removed: Array<Object>, changed: Array<Object>, compared: string[]}} Differences
+ */
+export function diffRecords(previous, current, diffDef, logger) {
+  const keyColumns = diffDef.key;
+  const ignore = diffDef.ignore || [];
+  const missing = keyColumns.filter(column => !current.columns.includes(column) || !previous.columns.includes(column));
+  if (missing.length > 0) {
+    throw new Error(`Diff key column(s) not in both files: ${missing.join(', ')}`);
+  }
+
+  const compared = current.columns.filter(column =>
+    previous.columns.includes(column) && !keyColumns.includes(column) && !ignore.includes(column));
+  const previousIndex = indexByKey(previous.records, keyColumns, logger, 'Previous file');
+  const currentIndex = indexByKey(current.records, keyColumns, logger, 'New file');
+
+  const added = [];
+  const changed = [];
+  for (const [key, record] of currentIndex) {
+    const before = previousIndex.get(key);
+    if (!before) {
+      added.push(record);
+      continue;
+    }
+    for (const column of compared) {
+      if (comparable(before[column]) !== comparable(record[column])) {
+        changed.push({ record, column, previous: before[column] ?? null, current: record[column] ?? null });
+      }
+    }
+  }
+
+  const removed = [...previousIndex].filter(([key]) => !currentIndex.has(key)).map(([, record]) => record);
+  return { added, removed, changed, compared };
+}
+
+/**
+ * Get the diff output paths for a downloaded file
+ * @param {string} filePath - New download path
+ * @returns {{added: string, removed: string, changed: string}} Output paths next to the file
+ */
+export function getDiffPaths(filePath) {
+  const { dir, name } = path.parse(filePath);
+  return {
+    added: path.join(dir, `${name}.diff-added.csv`),
+    removed: path.join(dir, `${name}.diff-removed.csv`),
+    changed: path.join(dir, `${name}.diff-changed.csv`)
+  };
+}
+
+/**
+ * Diff a new download against the previous version and write the result files
+ * @param {string} filePath - New download
+ * @param {string} previousFile - Previous archived download
+ * @param {Object} reportDef - Report definition (with a diff block)
+ * @param {Object} logger - Logger instance
+ * @returns {{added: number, removed: number, changed: number, files: Object}} Counts and written files
+ */
+export function writeDownloadDiff(filePath, previousFile, reportDef, logger) {
+  const current = readReportRecords(filePath, reportDef);
+  const previous = readReportRecords(previousFile, reportDef);
+  const { added, removed, changed } = diffRecords(previous, current, reportDef.diff, logger);
+  const keyColumns = reportDef.diff.key;
+  const files = getDiffPaths(filePath);
+
+  writeCsvFile(files.added, current.columns, added.map(record => current.columns.map(column => record[column])));
+  writeCsvFile(files.removed, previous.columns, removed.map(record => previous.columns.map(column => record[column])));
+  writeCsvFile(
+    files.changed,
+    [...keyColumns, 'column', 'previous', 'current'],
+    changed.map(change => [...keyColumns.map(column => change.record[column]), change.column, change.previous, change.current])
+  );
+
+  const changedRows = new Set(changed.map(change => change.record)).size;
+  logger.info(`Diff against ${path.basename(previousFile)}: ${added.length} added, ${removed.length} removed, ${changedRows} changed rows`);
+
+  const perColumn = {};
+  for (const change of changed) {
+    perColumn[change.column] = (perColumn[change.column] || 0) + 1;
+  }
+  for (const [column, count] of Object.entries(perColumn)) {
+    logger.info(`  "${column}" changed in ${count} rows`);
+  }
+
+  return { added: added.length, removed: removed.length, changed: changedRows, files };
+}
@@ -1,6 +1,14 @@
 import fs from 'fs';
 import path from 'path';
-import { humanDelay } from './navigation.js';
+import { humanDelay, waitForStableUI } from './navigation.js';
+import { renderTemplate } from './templates.js';
+import { isEncryptionEnabled, writeDataStream } from './encryption.js';
+
+// Placeholders a filename_template may use ({param.<name>} as well)
+export const FILENAME_FIELDS = ['report', 'from', 'to', 'ext', 'suggested', 'suggested_name', 'version'];
+
+// Characters that are not allowed in file names on Windows or POSIX
+const UNSAFE_FILENAME_CHARS = /[\\/:*?"<>|\x00-\x1f]/g;
 
 /**
  * Setup download directory for session
@@ -17,6 +25,35 @@ export function setupDownloadDirectory(sessionId) {
   return downloadDir;
 }
 
+/**
+ * Write the run manifest for a session
+ * The manifest lists every report the session ran and where its file went,
+ * so tools such as the scheduler can pick up results without parsing logs.
+ * @param {string} downloadPath - Session download directory
+ * @param {Object} manifest - Manifest contents
+ * @param {Object} logger - Logger instance
+ * @returns {string} Manifest path
+ */
+export function writeRunManifest(downloadPath, manifest, logger) {
+  const manifestPath = path.join(downloadPath, 'manifest.json');
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+  logger.info(`Run manifest written: ${manifestPath}`);
+  return manifestPath;
+}
+
+/**
+ * Read a session's run manifest
+ * @param {string} downloadPath - Session download directory
+ * @returns {Object|null} Manifest or null if the session wrote none
+ */
+export function readRunManifest(downloadPath) {
+  const manifestPath = path.join(downloadPath, 'manifest.json');
+  if (!fs.existsSync(manifestPath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+}
+
 /**
  * Configure browser context for downloads
  * @param {import('@playwright/test').BrowserContext} context - Browser context
@@ -86,11 +123,11 @@ export async function waitForDownload(page, downloadPath, expectedFilenamePatter
  * @param {RegExp} expectedFilenamePattern - Expected filename pattern
  * @param {number} minSizeBytes - Minimum expected file size
  * @param {Object} logger - Logger instance
+ * @param {string} filename - Name to check against the pattern (defaults to the file's own name)
  * @returns {Promise<boolean>} Validation result
  */
-export async function verifyDownload(filePath, expectedFilenamePattern, minSizeBytes = 100, logger) {
+export async function verifyDownload(filePath, expectedFilenamePattern, minSizeBytes = 100, logger, filename = path.basename(filePath)) {
   try {
-    const filename = path.basename(filePath);
 
     // Check filename matches pattern
     if (!expectedFilenamePattern.test(filename)) {
@@ -145,62 +182,352 @@ export function checkExistingDownload(downloadPath, expectedFilenamePattern, log
   return null;
 }
 
+/**
+ * Click an element on a page, or inside an iframe of that page
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @param {string} selector - Element selector
+ * @param {string} [frameSelector] - Selector of the iframe that contains the element
+ * @param {number} timeout - Click timeout in milliseconds
+ */
+async function clickInPageOrFrame(page, selector, frameSelector, timeout) {
+  if (frameSelector) {
+    await page.frameLocator(frameSelector).locator(selector).first().click({ timeout });
+  } else {
+    await page.click(selector, { timeout });
+  }
+}
+
+/**
+ * Run a click and wait for the browser download it starts.
+ * Exports that open in a popup window or new tab are followed; the caller
+ * must call cleanup() once the file is saved, which closes the popup.
+ * @param {import('@playwright/test').Page} page - Page the click happens on
+ * @param {Function} click - Async function that performs the click
+ * @param {Object} downloadConfig - Download configuration (popup settings and timeout)
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<{download: import('@playwright/test').Download, cleanup: Function}>} Started download
+ */
+async function captureDownload(page, click, downloadConfig, logger) {
+  const {
+    opens_popup: opensPopup = false,
+    popup_trigger_selector: popupTriggerSelector,
+    popup_frame_selector: popupFrameSelector,
+    download_timeout: timeout = 60000
+  } = downloadConfig;
+
+  if (!opensPopup) {
+    // Start waiting for download before triggering
+    const downloadPromise = page.waitForEvent('download', { timeout });
+    // If the click throws, the waiter still rejects at its timeout; keep that from crashing the process
+    downloadPromise.catch(() => {});
+    await click();
+    return { download: await downloadPromise, cleanup: async () => {} };
+  }
+
+  // Attach the popup's download listener as soon as the popup exists, since
+  // some exports start downloading before the popup finishes loading
+  // (both waiters get a no-op catch so a failed click cannot leave an unhandled rejection)
+  const popupPromise = page.waitForEvent('popup', { timeout }).then((popup) => {
+    const downloadPromise = popup.waitForEvent('download', { timeout });
+    downloadPromise.catch(() => {});
+    return { popup, downloadPromise };
+  });
+  popupPromise.catch(() => {});
+  await click();
+
+  const { popup, downloadPromise } = await popupPromise;
+  logger.info('Export opened in a popup window');
+
+  const cleanup = async () => {
+    if (!popup.isClosed()) {
+      await popup.close().catch(() => {});
+      logger.info('Popup window closed');
+    }
+  };
+
+  try {
+    await popup.waitForLoadState('domcontentloaded', { timeout }).catch(() => {});
+
+    if (popupTriggerSelector) {
+      logger.info(`Clicking download trigger in popup: ${popupTriggerSelector}`);
+      await clickInPageOrFrame(popup, popupTriggerSelector, popupFrameSelector, timeout);
+    }
+
+    return { download: await downloadPromise, cleanup };
+  } catch (error) {
+    await cleanup();
+    throw error;
+  }
+}
+
+/**
+ * Poll a "report center" results grid until the row for our request is
+ * completed. Used for reports that HHA Exchange queues instead of
+ * downloading right away.
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @param {Object} centerConfig - download_trigger.report_center settings
+ * @param {Object} variables - Placeholder values for row_match ({from}, {to}, {report}, {param.x})
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<import('@playwright/test').Locator>} Completed row
+ */
+export async function pollReportCenter(page, centerConfig, variables, logger) {
+  const {
+    url,
+    open_selector: openSelector,
+    row_selector: rowSelector,
+    row_match: rowMatch,
+    status_selector: statusSelector,
+    completed_text: completedText = 'Completed',
+    failed_text: failedText = 'Failed|Error|Cancelled',
+    refresh_selector: refreshSelector,
+    poll_interval: pollInterval = 15000,
+    timeout = 30 * 60 * 1000
+  } = centerConfig;
+
+  const match = rowMatch ? renderTemplate(rowMatch, variables) : null;
+  const completedPattern = new RegExp(completedText, 'i');
+  const failedPattern = failedText ? new RegExp(failedText, 'i') : null;
+  const startTime = Date.now();
+  let lastStatus = null;
+
+  logger.info(`Waiting for queued report in report center (timeout ${Math.round(timeout / 1000)}s)`);
+  if (match) {
+    logger.info(`Looking for row containing: "${match}"`);
+  }
+
+  if (url) {
+    await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+    await waitForStableUI(page);
+  }
+  if (openSelector) {
+    await page.click(openSelector, { timeout: 30000 });
+    await waitForStableUI(page);
+  }
+
+  for (let attempt = 1; ; attempt++) {
+    const elapsedSeconds = Math.round((Date.now() - startTime) / 1000);
+    const rows = page.locator(rowSelector);
+    const rowCount = await rows.count();
+    let row = null;
+
+    for (let i = 0; i < rowCount; i++) {
+      const rowText = (await rows.nth(i).innerText()) || '';
+      if (!match || rowText.includes(match)) {
+        row = rows.nth(i);
+        break;
+      }
+    }
+
+    if (row) {
+      const status = statusSelector
+        ? ((await row.locator(statusSelector).first().innerText()) || '').trim()
+        : ((await row.innerText()) || '').trim();
+
+      if (completedPattern.test(status)) {
+        logger.info(`Report completed after ${elapsedSeconds}s (poll ${attempt})`);
+        return row;
+      }
+      if (failedPattern && failedPattern.test(status)) {
+        throw new Error(`Queued report failed in report center: "${status}"`);
+      }
+      if (status !== lastStatus) {
+        logger.info(`Report status: "${status}" after ${elapsedSeconds}s (poll ${attempt})`);
+        lastStatus = status;
+      } else {
+        logger.debug(`Report status unchanged: "${status}" after ${elapsedSeconds}s (poll ${attempt})`);
+      }
+    } else {
+      logger.info(`Report not listed yet after ${elapsedSeconds}s (poll ${attempt}, ${rowCount} rows)`);
+    }
+
+    if (Date.now() - startTime + pollInterval > timeout) {
+      throw new Error(`Timed out after ${elapsedSeconds}s waiting for queued report (last status: ${lastStatus || 'not listed'})`);
+    }
+
+    await new Promise(resolve => setTimeout(resolve, pollInterval));
+
+    if (refreshSelector) {
+      await page.click(refreshSelector, { timeout: 30000 });
+    } else {
+      await page.reload({ waitUntil: 'domcontentloaded', timeout: 30000 });
+    }
+    await waitForStableUI(page);
+  }
+}
+
+/**
+ * Click the download trigger and wait for the browser download to start.
+ * In report_center mode the trigger only queues the report; the file is
+ * downloaded from the results grid once its row shows as completed.
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @param {Object} downloadConfig - Download configuration
+ * @param {Object} variables - Placeholder values for report center row matching
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<{download: import('@playwright/test').Download, cleanup: Function}>} Started download
+ */
+async function waitForTriggeredDownload(page, downloadConfig, variables, logger) {
+  const {
+    trigger_selector: triggerSelector,
+    frame_selector: frameSelector,
+    mode = 'direct',
+    download_timeout: timeout = 60000
+  } = downloadConfig;
+
+  if (frameSelector) {
+    logger.info(`Download trigger is inside frame: ${frameSelector}`);
+  }
+
+  if (mode !== 'report_center') {
+    return await captureDownload(
+      page,
+      () => clickInPageOrFrame(page, triggerSelector, frameSelector, timeout),
+      downloadConfig,
+      logger
+    );
+  }
+
+  const centerConfig = downloadConfig.report_center;
+  logger.info('Submitting report to the report center queue...');
+  await clickInPageOrFrame(page, triggerSelector, frameSelector, timeout);
+  await waitForStableUI(page);
+
+  const row = await pollReportCenter(page, centerConfig, variables, logger);
+  const downloadSelector = centerConfig.download_selector || 'a:has-text("Download")';
+  logger.info(`Downloading from report center row: ${downloadSelector}`);
+
+  return await captureDownload(
+    page,
+    () => row.locator(downloadSelector).first().click({ timeout }),
+    downloadConfig,
+    logger
+  );
+}
+
+/**
+ * Remove placeholders that render empty from a filename template, together
+ * with the separators in front of them, so an unset parameter does not leave
+ * "_.csv" or "__" behind
+ * @param {string} template - filename_template
+ * @param {Object} values - Template values
+ * @returns {string} Template without the empty placeholders
+ */
+function dropEmptyPlaceholders(template, values) {
+  return template
+    .replace(/[_\- ]*(\{[A-Za-z0-9_.-]+\})/g, (match, placeholder) => (renderTemplate(placeholder, values) === '' ? '' : match))
+    .replace(/^[_\- ]+/, '');
+}
+
+/**
+ * Name a download from a report's filename_template. A download that will be a
+ * later archive version gets a _v<N> suffix before the extension (unless the
+ * template places {version} itself), and N is bumped while the name is taken.
+ * Placeholders that render empty are dropped with their leading separator.
+ * @param {string} template - filename_template, e.g. "{report}_{from}_{to}.{ext}"
+ * @param {Object} values - Template values (report, from, to, param, ext, suggested, ...)
+ * @param {string} downloadPath - Folder the file is saved in
+ * @param {number} [version] - Archive version the download will become (1 for the first)
+ * @returns {string} File name
+ */
+export function renderDownloadFilename(template, values, downloadPath, version = 1) {
+  const placesVersion = template.includes('{version}');
+  const effectiveTemplate = dropEmptyPlaceholders(template, { ...values, version });
+
+  for (let candidate = version; ; candidate++) {
+    let filename = renderTemplate(effectiveTemplate, { ...values, version: candidate }).replace(UNSAFE_FILENAME_CHARS, '_');
+    if (!placesVersion && candidate > 1) {
+      const extension = path.extname(filename);
+      filename = `${path.basename(filename, extension)}_v${candidate}${extension}`;
+    }
+    if (!fs.existsSync(path.join(downloadPath, filename))) {
+      return filename;
+    }
+  }
+}
+
 /**
  * Trigger download and wait for completion
  * @param {import('@playwright/test').Page} page - Playwright page object
  * @param {Object} downloadConfig - Download configuration
  * @param {string} downloadConfig.trigger_selector - Selector for download button
  * @param {string} downloadConfig.trigger_type - Type of trigger (click, submit)
+ * @param {string} [downloadConfig.frame_selector] - Iframe that contains the trigger
+ * @param {boolean} [downloadConfig.opens_popup] - Export opens in a popup window or new tab
+ * @param {string} [downloadConfig.popup_trigger_selector] - Element to click in the popup to start the download
+ * @param {string} [downloadConfig.popup_frame_selector] - Iframe in the popup that contains that element
+ * @param {number} [downloadConfig.download_timeout] - Milliseconds to wait for the download (default 60000)
+ * @param {string} [downloadConfig.mode] - direct (default) or report_center
+ * @param {Object} [downloadConfig.report_center] - Results grid settings for report_center mode
  * @param {RegExp} expectedFilenamePattern - Expected filename pattern
  * @param {string} downloadPath - Download directory path
  * @param {Object} logger - Logger instance
- * @returns {Promise<string>} Path to downloaded file
+ * @param {Object} options - Save options
+ * @param {string} options.filenameTag - Tag inserted before the extension (e.g. report parameters)
+ * @param {Object} options.variables - Placeholder values for report center row matching and the filename template
+ * @param {string} [options.filenameTemplate] - Save under this template instead of the suggested name
+ * @param {number} [options.version] - Archive version the download will become (for the template's suffix)
+ * @returns {Promise<{file: string, suggestedFilename: string}>} Path to downloaded file and the name HHA Exchange suggested
  */
 export async function triggerAndWaitForDownload(
   page,
   downloadConfig,
   expectedFilenamePattern,
   downloadPath,
-  logger
+  logger,
+  options = {}
 ) {
-  logger.info(`Triggering download: ${downloadConfig.trigger_selector}`);
+  const { filenameTag = '', variables = {}, filenameTemplate = null, version = 1 } = options;
 
-  // Start waiting for download before triggering
-  const downloadPromise = page.waitForEvent('download', { timeout: 60000 });
-
-  // Trigger download
-  if (downloadConfig.trigger_type === 'click') {
-    await page.click(downloadConfig.trigger_selector);
-  } else if (downloadConfig.trigger_type === 'submit') {
-    await page.click(downloadConfig.trigger_selector);
-  } else {
-    await page.click(downloadConfig.trigger_selector);
-  }
+  logger.info(`Triggering download: ${downloadConfig.trigger_selector}`);
 
   // Wait for download to start
   let download;
+  let cleanup;
   try {
-    download = await downloadPromise;
+    ({ download, cleanup } = await waitForTriggeredDownload(page, downloadConfig, variables, logger));
     logger.info('Download started...');
   } catch (error) {
-    logger.error('Download did not start within timeout');
+    logger.error(`Download did not start: ${error.message}`);
     throw error;
   }
 
   // Wait for download to complete
   const suggestedFilename = download.suggestedFilename();
-  const targetPath = path.join(downloadPath, suggestedFilename);
+  const extension = path.extname(suggestedFilename);
+  let targetFilename = filenameTag
+    ? `${path.basename(suggestedFilename, extension)}__${filenameTag}${extension}`
+    : suggestedFilename;
+  if (filenameTemplate) {
+    targetFilename = renderDownloadFilename(filenameTemplate, {
+      ...variables,
+      ext: extension.replace(/^\./, ''),
+      suggested: suggestedFilename,
+      suggested_name: path.basename(suggestedFilename, extension)
+    }, downloadPath, version);
+    logger.info(`Saving "${suggestedFilename}" as ${targetFilename}`);
+  }
+  const targetPath = path.join(downloadPath, targetFilename);
 
-  await download.saveAs(targetPath);
-  logger.info(`Download saved to: ${targetPath}`);
+  try {
+    if (isEncryptionEnabled()) {
+      // Stream through the cipher and drop the browser's own copy, so no plaintext stays on disk
+      await writeDataStream(await download.createReadStream(), targetPath);
+      await download.delete();
+      logger.info(`Download saved (encrypted) to: ${targetPath}`);
+    } else {
+      await download.saveAs(targetPath);
+      logger.info(`Download saved to: ${targetPath}`);
+    }
+  } finally {
+    await cleanup();
+  }
 
-  // Verify the download
-  const isValid = await verifyDownload(targetPath, expectedFilenamePattern, 100, logger);
+  // Verify the download (the pattern applies to the name HHA Exchange suggested)
+  const isValid = await verifyDownload(targetPath, expectedFilenamePattern, 100, logger, suggestedFilename);
   if (!isValid) {
     throw new Error('Downloaded file failed verification');
   }
 
-  return targetPath;
+  return { file: targetPath, suggestedFilename };
 }
 
 /**
@@ -0,0 +1,212 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { pipeline } from 'stream/promises';
+
+/**
+ * Encryption at rest
+ * With `global.encryption.enabled`, downloads, failure screenshots and every
+ * file derived from a download are written AES-256-GCM encrypted under their
+ * usual names. An encrypted file is:
+ *
+ *   "RPAENC1\0" (8 bytes) | IV (12 bytes) | ciphertext | auth tag (16 bytes)
+ *
+ * The 32-byte key comes from RPA_ENCRYPTION_KEY (64 hex characters or base64),
+ * else from the file named by RPA_ENCRYPTION_KEY_FILE or
+ * `global.encryption.key_file`. Readers detect encrypted files by their header,
+ * so plaintext files from before encryption was switched on still read.
+ */
+
+const MAGIC = Buffer.from('RPAENC1\0', 'latin1');
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const KEY_BYTES = 32;
+const ALGORITHM = 'aes-256-gcm';
+
+let activeKey = null;
+
+/**
+ * Parse a key from its text form
+ * @param {string} text - 64 hex characters or base64 of 32 bytes
+ * @param {string} source - Where the key came from (for error messages)
+ * @returns {Buffer} Key
+ */
+export function parseKey(text, source) {
+  const trimmed = String(text).trim();
+  const key = /^[0-9a-fA-F]{64}$/.test(trimmed) ? Buffer.from(trimmed, 'hex') : Buffer.from(trimmed, 'base64');
+  if (key.length !== KEY_BYTES) {
+    throw new Error(`Encryption key from ${source} must be ${KEY_BYTES} bytes (64 hex characters or base64), got ${key.length} bytes`);
+  }
+  return key;
+}
+
+/**
+ * Load the encryption key from the environment or a key file
+ * @param {Object} [settings] - global.encryption settings
+ * @param {string} [settings.key_file] - Key file path (relative to the working directory)
+ * @returns {{key: Buffer, source: string}|null} Key and where it came from, or null if none is configured
+ */
+export function loadEncryptionKey(settings = {}) {
+  if (process.env.RPA_ENCRYPTION_KEY) {
+    return { key: parseKey(process.env.RPA_ENCRYPTION_KEY, 'RPA_ENCRYPTION_KEY'), source: 'RPA_ENCRYPTION_KEY' };
+  }
+
+  const keyFile = process.env.RPA_ENCRYPTION_KEY_FILE || settings.key_file;
+  if (!keyFile) {
+    return null;
+  }
+
+  const keyPath = path.resolve(process.cwd(), keyFile);
+  if (!fs.existsSync(keyPath)) {
+    throw new Error(`Encryption key file not found: ${keyPath}`);
+  }
+  return { key: parseKey(fs.readFileSync(keyPath, 'utf8'), keyPath), source: keyPath };
+}
+
+/**
+ * Switch encryption at rest on or off for this process
+ * @param {Object} [settings] - global.encryption settings ({enabled, key_file})
+ * @param {Object} logger - Logger instance
+ * @returns {boolean} True if files will be written encrypted
+ */
+export function configureEncryption(settings, logger) {
+  activeKey = null;
+  if (!settings?.enabled) {
+    return false;
+  }
+
+  const loaded = loadEncryptionKey(settings);
+  if (!loaded) {
+    throw new Error('global.encryption.enabled is set but no key is configured (set RPA_ENCRYPTION_KEY, RPA_ENCRYPTION_KEY_FILE or global.encryption.key_file)');
+  }
+
+  activeKey = loaded.key;
+  logger.info(`Encryption at rest enabled (key from ${loaded.source})`);
+  return true;
+}
+
+/**
+ * Check whether files are currently written encrypted
+ * @returns {boolean} True if encryption at rest is enabled
+ */
+export function isEncryptionEnabled() {
+  return activeKey !== null;
+}
+
+/**
+ * Check whether data starts with the encrypted file header
+ * @param {Buffer} data - File contents
+ * @returns {boolean} True if encrypted
+ */
+export function isEncrypted(data) {
+  return data.length >= MAGIC.length + IV_BYTES + TAG_BYTES && data.subarray(0, MAGIC.length).equals(MAGIC);
+}
+
+/**
+ * Check whether a file on disk is encrypted
+ * @param {string} filePath - File path
+ * @returns {boolean} True if encrypted
+ */
+export function isEncryptedFile(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const header = Buffer.alloc(MAGIC.length);
+    const bytesRead = fs.readSync(fd, header, 0, MAGIC.length, 0);
+    return bytesRead === MAGIC.length && header.equals(MAGIC);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Encrypt data
+ * @param {Buffer|string} plaintext - Data to encrypt
+ * @param {Buffer} key - 32-byte key
+ * @returns {Buffer} Encrypted file contents
+ */
+export function encryptBuffer(plaintext, key) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([MAGIC, iv, ciphertext, cipher.getAuthTag()]);
+}
+
+/**
+ * Decrypt data written by encryptBuffer() or writeDataStream()
+ * @param {Buffer} data - Encrypted file contents
+ * @param {Buffer} key - 32-byte key
+ * @returns {Buffer} Plaintext
+ */
+export function decryptBuffer(data, key) {
+  if (!isEncrypted(data)) {
+    throw new Error('Data is not in the encrypted file format');
+  }
+
+  const iv = data.subarray(MAGIC.length, MAGIC.length + IV_BYTES);
+  const tag = data.subarray(data.length - TAG_BYTES);
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+
+  try {
+    return Buffer.concat([decipher.update(data.subarray(MAGIC.length + IV_BYTES, data.length - TAG_BYTES)), decipher.final()]);
+  } catch (error) {
+    throw new Error('Decryption failed: wrong key or corrupted file');
+  }
+}
+
+/**
+ * Read a data file, decrypting it if it is encrypted
+ * @param {string} filePath - File path
+ * @returns {Buffer} Plaintext contents
+ */
+export function readDataFile(filePath) {
+  const data = fs.readFileSync(filePath);
+  if (!isEncrypted(data)) {
+    return data;
+  }
+
+  const key = activeKey || loadEncryptionKey()?.key;
+  if (!key) {
+    throw new Error(`${filePath} is encrypted; set RPA_ENCRYPTION_KEY or RPA_ENCRYPTION_KEY_FILE to read it`);
+  }
+  return decryptBuffer(data, key);
+}
+
+/**
+ * Write a data file, encrypted when encryption at rest is enabled
+ * @param {string} filePath - File path
+ * @param {Buffer|string} contents - Plaintext contents
+ */
+export function writeDataFile(filePath, contents) {
+  fs.writeFileSync(filePath, activeKey ? encryptBuffer(contents, activeKey) : contents);
+}
+
+/**
+ * Write a stream to a data file, encrypting it on the way when encryption at
+ * rest is enabled, so the plaintext never touches the disk
+ * @param {import('stream').Readable} source - Plaintext stream
+ * @param {string} filePath - File path
+ * @returns {Promise<void>}
+ */
+export async function writeDataStream(source, filePath) {
+  if (!activeKey) {
+    await pipeline(source, fs.createWriteStream(filePath));
+    return;
+  }
+
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, activeKey, iv);
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+
+  try {
+    const output = fs.createWriteStream(tempPath);
+    output.write(Buffer.concat([MAGIC, iv]));
+    await pipeline(source, cipher, output);
+    // The GCM tag is only known once the whole stream has been encrypted
+    fs.appendFileSync(tempPath, cipher.getAuthTag());
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+}
@@ -0,0 +1,67 @@
+/**
+ * Minimal HTML rendering for digests and exception lists
+ * Produces self-contained pages with inline styles so they can be opened
+ * from disk or pasted into an email.
+ */
+
+const PAGE_STYLE = [
+  'body { font-family: Arial, Helvetica, sans-serif; font-size: 14px; color: #222; }',
+  'h1 { font-size: 20px; } h2 { font-size: 16px; margin-top: 24px; }',
+  'table { border-collapse: collapse; margin-bottom: 12px; }',
+  'th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; }',
+  'th { background: #f2f2f2; }',
+  '.muted { color: #777; }'
+].join('\n');
+
+/**
+ * Escape text for HTML
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text ('' for null/undefined)
+ */
+export function escapeHtml(value) {
+  if (value === null || value === undefined) return '';
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render a table
+ * @param {string[]} columns - Header cells
+ * @param {Array<Array<*>>} rows - Row values
+ * @returns {string} HTML table
+ */
+export function renderHtmlTable(columns, rows) {
+  const head = columns.map(column => `<th>${escapeHtml(column)}</th>`).join('');
+  const body = rows
+    .map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`)
+    .join('\n');
+  return `<table>\n<thead><tr>${head}</tr></thead>\n<tbody>\n${body}\n</tbody>\n</table>`;
+}
+
+/**
+ * Render a complete page
+ * @param {string} title - Page title and heading
+ * @param {string} bodyHtml - Page content (already escaped)
+ * @returns {string} HTML document
+ */
+export function renderHtmlPage(title, bodyHtml) {
+  return [
+    '<!DOCTYPE html>',
+    '<html>',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(title)}</title>`,
+    `<style>\n${PAGE_STYLE}\n</style>`,
+    '</head>',
+    '<body>',
+    `<h1>${escapeHtml(title)}</h1>`,
+    bodyHtml,
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+}
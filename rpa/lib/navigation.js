@@ -1,4 +1,25 @@
 import { getScreenshotPath } from './logger.js';
+import { renderTemplate } from './templates.js';
+import { writeDataFile } from './encryption.js';
+
+/**
+ * Step types understood by navigateMenuSequence
+ */
+export const STEP_TYPES = [
+  'click',
+  'hover',
+  'fill',
+  'select_option',
+  'check',
+  'press_key',
+  'wait_for_selector',
+  'wait_for_url',
+  'assert_text',
+  'goto',
+  'sleep',
+  // Kept from the original step format: a selector to wait for, or ms to sleep
+  'wait'
+];
 
 /**
  * Random delay to mimic human behavior
@@ -120,6 +141,45 @@ export async function fillDateRange(page, dateSelectors, fromDate, toDate, logge
   return toSuccess;
 }
 
+/**
+ * Fill report parameter inputs (office, payer, status filters, ...)
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @param {Object} parameterDefs - Parameter definitions from config.yaml
+ * @param {Object} values - Resolved parameter values by name
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<boolean>} Success status
+ */
+export async function fillReportParameters(page, parameterDefs, values, logger) {
+  for (const [name, value] of Object.entries(values)) {
+    const definition = parameterDefs[name];
+    const type = definition.type || 'text';
+    logger.info(`Setting parameter ${name} (${type}): ${Array.isArray(value) ? value.join(', ') : value}`);
+
+    try {
+      if (type === 'text') {
+        const filled = await safeFill(page, definition.selector, value, logger);
+        if (!filled) return false;
+        continue;
+      }
+
+      await page.waitForSelector(definition.selector, { state: 'visible', timeout: 10000 });
+      await humanDelay();
+
+      if (type === 'checkbox') {
+        await page.setChecked(definition.selector, value);
+      } else {
+        // selectOption matches option values and labels
+        await page.selectOption(definition.selector, value);
+      }
+    } catch (error) {
+      logger.error(`Failed to set parameter ${name}: ${error.message}`);
+      return false;
+    }
+  }
+
+  return true;
+}
+
 /**
  * Detect if session has expired or user is logged out
  * @param {import('@playwright/test').Page} page - Playwright page object
@@ -205,10 +265,9 @@ export async function detectErrorState(page, logger) {
 export async function captureFailureScreenshot(page, sessionId, context, logger) {
   try {
     const screenshotPath = getScreenshotPath(sessionId, context);
-    await page.screenshot({
-      path: screenshotPath,
-      fullPage: true
-    });
+    // Take the image in memory so it is only written once, encrypted if enabled
+    const image = await page.screenshot({ fullPage: true });
+    writeDataFile(screenshotPath, image);
     logger.info(`Screenshot saved: ${screenshotPath}`);
     return screenshotPath;
   } catch (error) {
@@ -270,39 +329,156 @@ export async function retryAction(action, logger, options = {}) {
   throw lastError;
 }
 
+/**
+ * Parse a "/pattern/flags" string into a RegExp
+ * @param {string} value - Pattern, with or without slashes
+ * @returns {RegExp} Regular expression
+ */
+function toRegExp(value) {
+  const match = String(value).match(/^\/(.+)\/([a-z]*)$/);
+  return match ? new RegExp(match[1], match[2]) : new RegExp(value);
+}
+
+/**
+ * Check whether a step's if_present selector is currently visible
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @param {string} selector - Selector to look for
+ * @returns {Promise<boolean>} True if visible
+ */
+async function isPresent(page, selector) {
+  try {
+    return await page.locator(selector).first().isVisible();
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Execute a single menu step
+ * String fields may use placeholders such as {from}, {to} and {param.office}.
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @param {Object} step - Step definition from config.yaml
+ * @param {Object} logger - Logger instance
+ * @param {Object} variables - Placeholder values
+ */
+export async function executeStep(page, step, logger, variables = {}) {
+  const render = (value) => renderTemplate(value, variables);
+  const timeout = step.timeout || 10000;
+  const selector = step.selector ? render(step.selector) : null;
+
+  switch (step.type) {
+    case 'click': {
+      // Optional steps get one attempt here too (navigateMenuSequence does not retry them)
+      const clicked = await safeClick(page, selector, logger, { timeout, maxRetries: step.optional ? 0 : 2 });
+      if (!clicked) {
+        throw new Error(`Could not click ${selector}`);
+      }
+      break;
+    }
+    case 'hover':
+      await page.hover(selector, { timeout });
+      break;
+    case 'fill': {
+      const filled = await safeFill(page, selector, render(step.value), logger, { timeout, maxRetries: step.optional ? 0 : 2 });
+      if (!filled) {
+        throw new Error(`Could not fill ${selector}`);
+      }
+      break;
+    }
+    case 'select_option': {
+      const value = Array.isArray(step.value) ? step.value.map(render) : render(step.value);
+      await page.waitForSelector(selector, { state: 'visible', timeout });
+      await page.selectOption(selector, value, { timeout });
+      break;
+    }
+    case 'check':
+      await page.setChecked(selector, step.checked !== false, { timeout });
+      break;
+    case 'press_key':
+      if (selector) {
+        await page.press(selector, step.key, { timeout });
+      } else {
+        await page.keyboard.press(step.key);
+      }
+      break;
+    case 'wait_for_selector':
+      await page.waitForSelector(selector, { state: step.state || 'visible', timeout });
+      break;
+    case 'wait_for_url':
+      await page.waitForURL(step.url_regex ? toRegExp(step.url_regex) : render(step.url), { timeout });
+      break;
+    case 'assert_text': {
+      await page.waitForSelector(selector, { state: 'visible', timeout });
+      const text = (await page.textContent(selector)) || '';
+      const matches = step.text_regex ? toRegExp(step.text_regex).test(text) : text.includes(render(step.text));
+      if (!matches) {
+        throw new Error(`Text of ${selector} was "${text.trim()}", expected ${step.text_regex || `"${render(step.text)}"`}`);
+      }
+      break;
+    }
+    case 'goto':
+      await page.goto(render(step.url), { waitUntil: 'domcontentloaded', timeout: step.timeout || 30000 });
+      break;
+    case 'sleep':
+      await new Promise(resolve => setTimeout(resolve, step.ms));
+      break;
+    case 'wait':
+      if (selector) {
+        await page.waitForSelector(selector, { state: step.state || 'visible', timeout });
+      } else {
+        await new Promise(resolve => setTimeout(resolve, step.ms));
+      }
+      break;
+    default:
+      throw new Error(`Unknown step type "${step.type}". Supported: ${STEP_TYPES.join(', ')}`);
+  }
+}
+
 /**
  * Navigate through menu sequence
+ * Steps marked optional: true may fail without stopping the sequence, and
+ * steps with if_present: <selector> only run when that selector is visible.
  * @param {import('@playwright/test').Page} page - Playwright page object
  * @param {Array} menuSteps - Array of menu step objects
  * @param {Object} logger - Logger instance
  * @param {string} sessionId - Session ID for screenshots
+ * @param {Object} variables - Placeholder values for step fields ({from}, {to}, {param.x})
  * @returns {Promise<boolean>} Success status
  */
-export async function navigateMenuSequence(page, menuSteps, logger, sessionId) {
+export async function navigateMenuSequence(page, menuSteps, logger, sessionId, variables = {}) {
   logger.info(`Navigating through ${menuSteps.length} menu steps`);
 
   for (let i = 0; i < menuSteps.length; i++) {
     const step = menuSteps[i];
-    logger.info(`Menu step ${i + 1}/${menuSteps.length}: ${step.description || step.selector}`);
+    logger.info(`Menu step ${i + 1}/${menuSteps.length} [${step.type}]: ${step.description || step.selector || step.url || ''}`);
+
+    if (step.if_present && !(await isPresent(page, renderTemplate(step.if_present, variables)))) {
+      logger.info(`Skipping menu step ${i + 1}: ${step.if_present} not present`);
+      continue;
+    }
 
     try {
       await retryAction(
         async () => {
-          if (step.type === 'click') {
-            await safeClick(page, step.selector, logger);
-          } else if (step.type === 'hover') {
-            await page.hover(step.selector);
+          await executeStep(page, step, logger, variables);
+          if (step.type !== 'sleep' && !(step.type === 'wait' && !step.selector)) {
+            await waitForStableUI(page);
           }
-          await waitForStableUI(page);
         },
         logger,
         {
           actionName: `menu-step-${i + 1}`,
+          // Optional steps get a single attempt so a missing element costs little time
+          maxRetries: step.optional ? 0 : 2,
           page,
           sessionId
         }
       );
     } catch (error) {
+      if (step.optional) {
+        logger.warn(`Optional menu step ${i + 1} failed, continuing: ${error.message}`);
+        continue;
+      }
       logger.error(`Failed to complete menu step ${i + 1}: ${error.message}`);
       await captureFailureScreenshot(page, sessionId, `menu-step-${i + 1}-failed`, logger);
       return false;
@@ -0,0 +1,193 @@
+import path from 'path';
+import { readTable, formatCsvRow } from './tables.js';
+import { writeDataFile } from './encryption.js';
+import { isBlank, parseDateValue, parseNumberValue } from './values.js';
+
+/**
+ * Normalized report output
+ * A report's `output:` block maps HHA Exchange columns to stable canonical
+ * names and types:
+ *
+ *   output:
+ *     columns:
+ *       visit_id: { source: "Visit ID", type: integer }
+ *       visit_date: { source: ["Visit Date", "Service Date"], type: date }
+ *       aide_name: "Aide Name"
+ *
+ * `source` may list several header names so a renamed export header still
+ * maps to the same canonical column. The normalized rows are written as CSV
+ * and NDJSON next to the raw download, which is kept unchanged for audit.
+ */
+
+export const OUTPUT_TYPES = ['string', 'integer', 'number', 'date', 'datetime', 'boolean'];
+export const OUTPUT_FORMATS = ['csv', 'ndjson'];
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1'];
+const FALSE_VALUES = ['false', 'no', 'n', '0'];
+
+/**
+ * Expand the shorthand forms of an output column definition
+ * @param {string|Object} definition - Column name string or {source, type, optional}
+ * @returns {{sources: string[], type: string, optional: boolean}} Column definition
+ */
+function normalizeColumnDefinition(definition) {
+  const column = typeof definition === 'string' ? { source: definition } : definition;
+  return {
+    sources: Array.isArray(column.source) ? column.source : [column.source],
+    type: column.type || 'string',
+    optional: Boolean(column.optional)
+  };
+}
+
+/**
+ * Convert one cell to its canonical type
+ * @param {string} type - Output type
+ * @param {*} value - Raw cell value
+ * @returns {{value: *, ok: boolean}} Converted value (null for blank cells), ok false when unconvertible
+ */
+export function convertValue(type, value) {
+  if (isBlank(value)) {
+    return { value: null, ok: true };
+  }
+
+  let converted;
+  switch (type) {
+    case 'integer':
+      converted = parseNumberValue(value);
+      if (!Number.isInteger(converted)) converted = null;
+      break;
+    case 'number':
+      converted = parseNumberValue(value);
+      break;
+    case 'date':
+      converted = parseDateValue(value);
+      converted = converted === null ? null : converted.slice(0, 10);
+      break;
+    case 'datetime':
+      converted = parseDateValue(value);
+      if (converted !== null && converted.length === 10) converted = `${converted}T00:00:00`;
+      break;
+    case 'boolean': {
+      const text = String(value).trim().toLowerCase();
+      converted = TRUE_VALUES.includes(text) ? true : FALSE_VALUES.includes(text) ? false : null;
+      break;
+    }
+    default:
+      converted = value instanceof Date ? parseDateValue(value) : String(value).trim();
+  }
+
+  return { value: converted, ok: converted !== null };
+}
+
+/**
+ * Map a raw table onto the canonical columns of an output definition
+ * @param {{headers: string[], rows: Array<Array<*>>}} table - Raw table
+ * @param {Object} outputDef - Report output definition
+ * @returns {{columns: string[], records: Array<Object>, errors: Array<Object>}} Canonical records and conversion errors
+ */
+export function normalizeTable(table, outputDef) {
+  const columns = Object.keys(outputDef.columns);
+  const mappings = columns.map((name) => {
+    const definition = normalizeColumnDefinition(outputDef.columns[name]);
+    const index = table.headers.findIndex(header => definition.sources.includes(header));
+    if (index === -1 && !definition.optional) {
+      throw new Error(`Output column "${name}" not found (looked for ${definition.sources.map(source => `"${source}"`).join(', ')})`);
+    }
+    return { name, index, type: definition.type, source: index === -1 ? null : table.headers[index] };
+  });
+
+  const errors = [];
+  const records = table.rows.map((row, rowIndex) => {
+    const record = {};
+    for (const mapping of mappings) {
+      const raw = mapping.index === -1 ? null : row[mapping.index];
+      const { value, ok } = convertValue(mapping.type, raw);
+      if (!ok) {
+        errors.push({ record: rowIndex + 1, column: mapping.name, source: mapping.source, type: mapping.type, value: raw });
+      }
+      record[mapping.name] = value;
+    }
+    return record;
+  });
+
+  return { columns, records, errors };
+}
+
+/**
+ * Read the rows of a downloaded report as objects: canonical columns when the
+ * report has an output mapping, raw header names otherwise
+ * @param {string} filePath - Downloaded file
+ * @param {Object} reportDef - Report definition
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.raw] - Always use the raw header names
+ * @param {boolean} [options.percentCells] - Scale percent-formatted workbook cells to 0-100
+ * @returns {{columns: string[], records: Array<Object>}} Column names and row objects
+ */
+export function readReportRecords(filePath, reportDef, options = {}) {
+  const table = readTable(filePath, {
+    sheet: reportDef.output?.sheet ?? reportDef.validation?.sheet,
+    headerRow: reportDef.output?.header_row ?? reportDef.validation?.header_row,
+    percentCells: options.percentCells
+  });
+
+  if (reportDef.output && !options.raw) {
+    const { columns, records } = normalizeTable(table, reportDef.output);
+    return { columns, records };
+  }
+
+  const columns = table.headers.filter(Boolean);
+  const records = table.rows.map(row => Object.fromEntries(
+    table.headers.map((header, i) => [header, row[i] ?? null]).filter(([header]) => header)
+  ));
+  return { columns, records };
+}
+
+/**
+ * Get the normalized output paths for a downloaded file
+ * @param {string} filePath - Raw download path
+ * @returns {{csv: string, ndjson: string}} Output paths next to the raw file
+ */
+export function getNormalizedPaths(filePath) {
+  const { dir, name } = path.parse(filePath);
+  return {
+    csv: path.join(dir, `${name}.normalized.csv`),
+    ndjson: path.join(dir, `${name}.normalized.ndjson`)
+  };
+}
+
+/**
+ * Read a raw download and write its normalized CSV and/or NDJSON output
+ * @param {string} filePath - Raw download path
+ * @param {Object} outputDef - Report output definition
+ * @param {Object} logger - Logger instance
+ * @param {Object} [readOptions] - Options for readTable() (sheet, headerRow)
+ * @returns {{files: string[], rowCount: number, errorCount: number}} Written files and counts
+ */
+export function writeNormalizedOutput(filePath, outputDef, logger, readOptions = {}) {
+  const table = readTable(filePath, readOptions);
+  const { columns, records, errors } = normalizeTable(table, outputDef);
+  const formats = outputDef.formats || OUTPUT_FORMATS;
+  const paths = getNormalizedPaths(filePath);
+  const files = [];
+
+  for (const error of errors.slice(0, 5)) {
+    logger.warn(`Record ${error.record}: cannot convert ${JSON.stringify(error.value)} in "${error.source}" to ${error.type}; written as empty`);
+  }
+  if (errors.length > 5) {
+    logger.warn(`${errors.length - 5} more values could not be converted`);
+  }
+
+  if (formats.includes('csv')) {
+    const lines = [formatCsvRow(columns), ...records.map(record => formatCsvRow(columns.map(column => record[column])))];
+    writeDataFile(paths.csv, `${lines.join('\n')}\n`);
+    files.push(paths.csv);
+  }
+
+  if (formats.includes('ndjson')) {
+    writeDataFile(paths.ndjson, records.map(record => `${JSON.stringify(record)}\n`).join(''));
+    files.push(paths.ndjson);
+  }
+
+  logger.info(`Normalized ${records.length} rows into ${files.map(file => path.basename(file)).join(', ')}`);
+  return { files, rowCount: records.length, errorCount: errors.length };
+}
@@ -0,0 +1,121 @@
+/**
+ * Report parameters beyond the date range (office, payer, status filters)
+ * Parameters are declared per report in config.yaml:
+ *
+ *   parameters:
+ *     office:
+ *       selector: '#officeDropdown'
+ *       type: select          # text, select, checkbox or multiselect
+ *       default: AHS-Albany
+ *
+ * and can be overridden on the command line with --param office=AHS-Albany.
+ */
+
+export const PARAMETER_TYPES = ['text', 'select', 'checkbox', 'multiselect'];
+
+/**
+ * Parse --param name=value arguments
+ * @param {string|string[]} args - Raw --param values
+ * @returns {Object<string, string>} Parameter values by name
+ */
+export function parseParamArgs(args) {
+  const values = {};
+  const list = args === undefined ? [] : Array.isArray(args) ? args : [args];
+
+  for (const arg of list) {
+    const separator = String(arg).indexOf('=');
+    if (separator <= 0) {
+      throw new Error(`Invalid --param "${arg}". Expected name=value`);
+    }
+    values[String(arg).slice(0, separator).trim()] = String(arg).slice(separator + 1).trim();
+  }
+
+  return values;
+}
+
+/**
+ * Coerce a raw value to what a parameter type expects
+ * @param {string} type - Parameter type
+ * @param {*} value - Raw value (from YAML or the command line)
+ * @returns {string|boolean|string[]} Typed value
+ */
+function coerceValue(type, value) {
+  if (type === 'checkbox') {
+    if (typeof value === 'boolean') return value;
+    const normalized = String(value).toLowerCase();
+    if (['true', 'yes', '1', 'on'].includes(normalized)) return true;
+    if (['false', 'no', '0', 'off'].includes(normalized)) return false;
+    throw new Error(`expected true or false, got "${value}"`);
+  }
+
+  if (type === 'multiselect') {
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    return list.map(item => String(item).trim()).filter(Boolean);
+  }
+
+  return String(value);
+}
+
+/**
+ * Resolve parameter values for one report: defaults overridden by CLI values.
+ * Values for parameters the report does not declare are ignored, so one
+ * --param can be shared across a batch.
+ * @param {Object} reportDef - Report definition
+ * @param {Object<string, string>} overrides - Values from --param
+ * @returns {Object<string, string|boolean|string[]>} Resolved values
+ */
+export function resolveReportParameters(reportDef, overrides = {}) {
+  const definitions = reportDef.parameters || {};
+  const values = {};
+
+  for (const [name, definition] of Object.entries(definitions)) {
+    const type = definition.type || 'text';
+    const raw = Object.prototype.hasOwnProperty.call(overrides, name) ? overrides[name] : definition.default;
+
+    if (raw === undefined || raw === null || raw === '') {
+      if (definition.required) {
+        throw new Error(`Missing value for required parameter "${name}" (use --param ${name}=<value>)`);
+      }
+      continue;
+    }
+
+    try {
+      values[name] = coerceValue(type, raw);
+    } catch (error) {
+      throw new Error(`Invalid value for parameter "${name}": ${error.message}`);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Check that every CLI parameter is declared by at least one selected report
+ * @param {Object} config - Full configuration
+ * @param {string[]} reportNames - Selected reports
+ * @param {Object<string, string>} overrides - Values from --param
+ */
+export function assertKnownParameters(config, reportNames, overrides) {
+  for (const name of Object.keys(overrides)) {
+    const declared = reportNames.some(reportName => config.reports[reportName]?.parameters?.[name]);
+    if (!declared) {
+      throw new Error(`Parameter "${name}" is not declared by any selected report`);
+    }
+  }
+}
+
+/**
+ * Format parameter values for use in file and folder names
+ * @param {Object<string, string|boolean|string[]>} values - Parameter values
+ * @returns {string} Tag such as "office-AHS-Albany_status-Active", or '' when empty
+ */
+export function formatParameterTag(values = {}) {
+  return Object.keys(values)
+    .sort()
+    .map((name) => {
+      const value = Array.isArray(values[name]) ? values[name].join('+') : String(values[name]);
+      return `${name}-${value}`;
+    })
+    .join('_')
+    .replace(/[^A-Za-z0-9._+-]+/g, '-');
+}
@@ -0,0 +1,237 @@
+import path from 'path';
+import { readReportRecords } from './normalize.js';
+import { writeCsvFile } from './tables.js';
+import { parseDateValue, parseNumberValue } from './values.js';
+import { parseDate, formatDate, validateDate } from './periods.js';
+import { renderTemplate } from './templates.js';
+
+/**
+ * Payroll export (post-processor "payroll")
+ * Totals confirmed visit hours per aide per pay period and splits them into
+ * regular, overtime and double-time hours using weekly thresholds. Pay periods
+ * and workweeks are counted from `pay_period.anchor`, a date on which a pay
+ * period starts. Output columns come from the `template` list, so the file
+ * matches whatever layout the payroll provider imports.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_OVERTIME_AFTER = 40;
+
+export const DEFAULT_PAYROLL_COLUMNS = {
+  aide_id: null,
+  aide_name: 'Aide Name',
+  visit_date: 'Visit Date',
+  hours: 'Hours Confirmed',
+  status: 'Status'
+};
+
+export const DEFAULT_PAYROLL_TEMPLATE = [
+  { header: 'Employee', value: '{aide_name}' },
+  { header: 'Period Start', value: '{period_start}' },
+  { header: 'Period End', value: '{period_end}' },
+  { header: 'Regular Hours', value: '{regular_hours}' },
+  { header: 'Overtime Hours', value: '{overtime_hours}' }
+];
+
+export const PAYROLL_FIELDS = [
+  'aide_id',
+  'aide_name',
+  'period_start',
+  'period_end',
+  'regular_hours',
+  'overtime_hours',
+  'double_time_hours',
+  'total_hours',
+  'visit_count'
+];
+
+export const PAYROLL_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['pay_period'],
+  properties: {
+    type: { const: 'payroll' },
+    pay_period: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['anchor'],
+      properties: {
+        anchor: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
+        length_days: { enum: [7, 14] }
+      }
+    },
+    overtime_after: { type: 'number', minimum: 0 },
+    double_time_after: { type: 'number', minimum: 0 },
+    statuses: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+    columns: {
+      type: 'object',
+      additionalProperties: false,
+      properties: Object.fromEntries(Object.keys(DEFAULT_PAYROLL_COLUMNS).map(key => [key, { type: 'string', minLength: 1 }]))
+    },
+    template: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['header', 'value'],
+        properties: {
+          header: { type: 'string', minLength: 1 },
+          value: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Round hours to two decimals
+ * @param {number} hours - Hours
+ * @returns {number} Rounded hours
+ */
+function roundHours(hours) {
+  return Math.round(hours * 100) / 100;
+}
+
+/**
+ * Add days to a date
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+function addDays(date, days) {
+  return formatDate(new Date(parseDate(date).getTime() + days * DAY_MS));
+}
+
+/**
+ * Find the start of the block of `lengthDays` days (counted from an anchor)
+ * that contains a date
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {string} anchor - Any date on which a block starts
+ * @param {number} lengthDays - Block length in days
+ * @returns {string} Block start (YYYY-MM-DD)
+ */
+export function getBlockStart(date, anchor, lengthDays) {
+  const days = Math.round((parseDate(date).getTime() - parseDate(anchor).getTime()) / DAY_MS);
+  const offset = ((days % lengthDays) + lengthDays) % lengthDays;
+  return addDays(date, -offset);
+}
+
+/**
+ * Split one workweek's hours into regular, overtime and double-time
+ * @param {number} hours - Hours worked in the week
+ * @param {number} overtimeAfter - Weekly hours after which overtime starts
+ * @param {number|null} doubleTimeAfter - Weekly hours after which double time starts
+ * @returns {{regular: number, overtime: number, doubleTime: number}} Split hours
+ */
+export function splitWeeklyHours(hours, overtimeAfter, doubleTimeAfter) {
+  const regular = Math.min(hours, overtimeAfter);
+  const doubleTime = doubleTimeAfter === null ? 0 : Math.max(0, hours - Math.max(doubleTimeAfter, overtimeAfter));
+  return { regular, overtime: hours - regular - doubleTime, doubleTime };
+}
+
+/**
+ * Total visit hours per aide per pay period
+ * @param {Array<Object>} records - Visit rows
+ * @param {Object} settings - Resolved processor settings
+ * @returns {Array<Object>} One row per aide and pay period (PAYROLL_FIELDS)
+ */
+export function buildPayroll(records, settings) {
+  const { columns, anchor, lengthDays, overtimeAfter, doubleTimeAfter, statuses } = settings;
+  const aides = new Map();
+
+  for (const record of records) {
+    if (statuses && !statuses.includes(String(record[columns.status] ?? '').trim())) continue;
+
+    const visitDate = parseDateValue(record[columns.visit_date] ?? '');
+    const hours = parseNumberValue(record[columns.hours] ?? '');
+    if (!visitDate || hours === null) continue;
+
+    const day = visitDate.slice(0, 10);
+    const aideName = String(record[columns.aide_name] ?? '').trim();
+    const aideId = columns.aide_id ? String(record[columns.aide_id] ?? '').trim() : '';
+    const periodStart = getBlockStart(day, anchor, lengthDays);
+    const key = `${aideId || aideName}|${periodStart}`;
+
+    if (!aides.has(key)) {
+      aides.set(key, { aideId, aideName, periodStart, weeks: new Map(), visits: 0 });
+    }
+    const entry = aides.get(key);
+    const week = getBlockStart(day, anchor, 7);
+    entry.weeks.set(week, (entry.weeks.get(week) || 0) + hours);
+    entry.visits++;
+  }
+
+  return [...aides.values()].map((entry) => {
+    const totals = { regular: 0, overtime: 0, doubleTime: 0 };
+    for (const hours of entry.weeks.values()) {
+      const split = splitWeeklyHours(hours, overtimeAfter, doubleTimeAfter);
+      totals.regular += split.regular;
+      totals.overtime += split.overtime;
+      totals.doubleTime += split.doubleTime;
+    }
+
+    return {
+      aide_id: entry.aideId || null,
+      aide_name: entry.aideName,
+      period_start: entry.periodStart,
+      period_end: addDays(entry.periodStart, lengthDays - 1),
+      regular_hours: roundHours(totals.regular),
+      overtime_hours: roundHours(totals.overtime),
+      double_time_hours: roundHours(totals.doubleTime),
+      total_hours: roundHours(totals.regular + totals.overtime + totals.doubleTime),
+      visit_count: entry.visits
+    };
+  }).sort((a, b) => a.period_start.localeCompare(b.period_start) || a.aide_name.localeCompare(b.aide_name));
+}
+
+/**
+ * Write the payroll export for a downloaded visits report
+ * @param {string} filePath - Downloaded file
+ * @param {Object} reportDef - Report definition
+ * @param {Object} options - Processor options from config.yaml
+ * @param {Object} context - Run context
+ * @param {string} [context.fromDate] - Start of the downloaded range
+ * @param {string} [context.toDate] - End of the downloaded range
+ * @param {Object} logger - Logger instance
+ * @returns {{files: string[], count: number}} Written file and number of payroll rows
+ */
+export function runPayrollExport(filePath, reportDef, options, context, logger) {
+  const anchor = options.pay_period.anchor;
+  if (!validateDate(anchor)) {
+    throw new Error(`Invalid pay_period.anchor "${anchor}" (expected YYYY-MM-DD)`);
+  }
+
+  const settings = {
+    columns: { ...DEFAULT_PAYROLL_COLUMNS, ...options.columns },
+    anchor,
+    lengthDays: options.pay_period.length_days ?? 14,
+    overtimeAfter: options.overtime_after ?? DEFAULT_OVERTIME_AFTER,
+    doubleTimeAfter: options.double_time_after ?? null,
+    statuses: options.statuses
+  };
+
+  // Overtime is per workweek, so a range that cuts a week in half undercounts it
+  if (context.fromDate && context.toDate &&
+    (getBlockStart(context.fromDate, anchor, 7) !== context.fromDate ||
+      getBlockStart(context.toDate, anchor, 7) !== addDays(context.toDate, -6))) {
+    logger.warn(`Payroll: ${context.fromDate} to ${context.toDate} does not cover whole workweeks ` +
+      `(weeks start on the weekday of ${anchor}); overtime in partial weeks may be understated`);
+  }
+
+  const { records } = readReportRecords(filePath, reportDef, { raw: true });
+  const rows = buildPayroll(records, settings);
+
+  const template = options.template || DEFAULT_PAYROLL_TEMPLATE;
+  const { dir, name } = path.parse(filePath);
+  const csvPath = path.join(dir, `${name}.payroll.csv`);
+  writeCsvFile(
+    csvPath,
+    template.map(column => column.header),
+    rows.map(row => template.map(column => renderTemplate(column.value, row)))
+  );
+
+  const overtime = roundHours(rows.reduce((sum, row) => sum + row.overtime_hours + row.double_time_hours, 0));
+  logger.info(`Payroll: ${rows.length} aide/pay period row(s), ${overtime} overtime hour(s)`);
+  return { files: [csvPath], count: rows.length };
+}
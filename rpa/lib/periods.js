@@ -0,0 +1,203 @@
+/**
+ * Relative date periods
+ * Resolves named periods (yesterday, last-month, last-7-days, ...) to
+ * concrete YYYY-MM-DD ranges in the agency's timezone.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Named periods and how they resolve. Each resolver receives "today" as a
+ * UTC-midnight Date for the agency's calendar day.
+ */
+const NAMED_PERIODS = {
+  today: (today) => [today, today],
+  yesterday: (today) => {
+    const day = addDays(today, -1);
+    return [day, day];
+  },
+  'week-to-date': (today) => [startOfWeek(today), today],
+  'last-week': (today) => {
+    const start = addDays(startOfWeek(today), -7);
+    return [start, addDays(start, 6)];
+  },
+  'month-to-date': (today) => [startOfMonth(today), today],
+  'last-month': (today) => {
+    const end = addDays(startOfMonth(today), -1);
+    return [startOfMonth(end), end];
+  },
+  'quarter-to-date': (today) => [startOfQuarter(today), today],
+  'last-quarter': (today) => {
+    const end = addDays(startOfQuarter(today), -1);
+    return [startOfQuarter(end), end];
+  },
+  'year-to-date': (today) => [new Date(Date.UTC(today.getUTCFullYear(), 0, 1)), today]
+};
+
+const LAST_N_DAYS_PATTERN = /^last-(\d+)-days?$/;
+
+/**
+ * Add days to a UTC-midnight date
+ * @param {Date} date - Date
+ * @param {number} days - Days to add (may be negative)
+ * @returns {Date} New date
+ */
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+/**
+ * First day of the week (weeks start on Monday)
+ * @param {Date} date - Date
+ * @returns {Date} Monday of the same week
+ */
+function startOfWeek(date) {
+  const offset = (date.getUTCDay() + 6) % 7;
+  return addDays(date, -offset);
+}
+
+/**
+ * First day of the month
+ * @param {Date} date - Date
+ * @returns {Date} First of the month
+ */
+function startOfMonth(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+}
+
+/**
+ * First day of the calendar quarter
+ * @param {Date} date - Date
+ * @returns {Date} First of the quarter
+ */
+function startOfQuarter(date) {
+  const month = Math.floor(date.getUTCMonth() / 3) * 3;
+  return new Date(Date.UTC(date.getUTCFullYear(), month, 1));
+}
+
+/**
+ * Format a UTC-midnight date as YYYY-MM-DD
+ * @param {Date} date - Date
+ * @returns {string} Date string
+ */
+export function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Parse a YYYY-MM-DD string to a UTC-midnight date
+ * @param {string} dateStr - Date string
+ * @returns {Date} Date
+ */
+export function parseDate(dateStr) {
+  return new Date(`${dateStr}T00:00:00Z`);
+}
+
+/**
+ * Validate date format
+ * @param {string} dateStr - Date string to validate
+ * @returns {boolean} True if valid
+ */
+export function validateDate(dateStr) {
+  if (typeof dateStr !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) {
+    return false;
+  }
+
+  const date = parseDate(dateStr);
+  return !isNaN(date) && formatDate(date) === dateStr;
+}
+
+/**
+ * Get the current calendar day in a timezone
+ * @param {string} [timezone] - IANA timezone (defaults to the host timezone)
+ * @param {Date} [now] - Reference instant
+ * @returns {string} Today as YYYY-MM-DD
+ */
+export function todayInTimezone(timezone, now = new Date()) {
+  try {
+    // en-CA formats as YYYY-MM-DD
+    return new Intl.DateTimeFormat('en-CA', {
+      timeZone: timezone || undefined,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit'
+    }).format(now);
+  } catch (error) {
+    throw new Error(`Invalid timezone "${timezone}": ${error.message}`);
+  }
+}
+
+/**
+ * Check whether a string is a known period name
+ * @param {string} period - Period name
+ * @returns {boolean} True if the period can be resolved
+ */
+export function isValidPeriod(period) {
+  if (typeof period !== 'string') {
+    return false;
+  }
+  const match = period.match(LAST_N_DAYS_PATTERN);
+  return Boolean(NAMED_PERIODS[period]) || Boolean(match && Number(match[1]) > 0);
+}
+
+/**
+ * List supported period names (for help text)
+ * @returns {string[]} Period names
+ */
+export function listPeriods() {
+  return [...Object.keys(NAMED_PERIODS), 'last-N-days'];
+}
+
+/**
+ * Resolve a named period to a date range
+ * last-N-days covers the N full days ending yesterday.
+ * @param {string} period - Period name
+ * @param {Object} options - Options
+ * @param {string} [options.timezone] - IANA timezone the period is relative to
+ * @param {Date} [options.now] - Reference instant (defaults to now)
+ * @returns {{fromDate: string, toDate: string}} Resolved range
+ */
+export function resolvePeriod(period, options = {}) {
+  const { timezone, now = new Date() } = options;
+  const today = parseDate(todayInTimezone(timezone, now));
+
+  let range;
+  const match = typeof period === 'string' ? period.match(LAST_N_DAYS_PATTERN) : null;
+
+  if (NAMED_PERIODS[period]) {
+    range = NAMED_PERIODS[period](today);
+  } else if (match && Number(match[1]) > 0) {
+    const end = addDays(today, -1);
+    range = [addDays(end, -(Number(match[1]) - 1)), end];
+  } else {
+    throw new Error(`Unknown period "${period}". Supported: ${listPeriods().join(', ')}`);
+  }
+
+  return { fromDate: formatDate(range[0]), toDate: formatDate(range[1]) };
+}
+
+/**
+ * Resolve the date range for one report run.
+ * Explicit dates win, then an explicit period, then the report's default_period.
+ * @param {Object} reportDef - Report definition
+ * @param {Object} request - Requested range
+ * @param {string} [request.fromDate] - Explicit start date
+ * @param {string} [request.toDate] - Explicit end date
+ * @param {string} [request.period] - Named period
+ * @param {Object} options - Options passed to resolvePeriod
+ * @returns {{fromDate: string, toDate: string, period: string|null}} Resolved range
+ */
+export function resolveReportDateRange(reportDef, request, options = {}) {
+  const { fromDate, toDate, period } = request;
+
+  if (fromDate && toDate) {
+    return { fromDate, toDate, period: null };
+  }
+
+  const effectivePeriod = period || reportDef.default_period;
+  if (!effectivePeriod) {
+    throw new Error('No date range: pass --from/--to or --period, or set default_period on the report');
+  }
+
+  return { ...resolvePeriod(effectivePeriod, options), period: effectivePeriod };
+}
@@ -0,0 +1,65 @@
+import { runAuthExpiry, AUTH_EXPIRY_SCHEMA } from './auth-expiry.js';
+import { runComplianceCheck, COMPLIANCE_SCHEMA } from './compliance.js';
+import { runPayrollExport, PAYROLL_SCHEMA } from './payroll.js';
+
+/**
+ * Report post-processors
+ * A report's `post_process:` list names processors that turn a finished
+ * download into something a team can act on:
+ *
+ *   post_process:
+ *     - type: auth_expiry
+ *       within_days: 30
+ *
+ * Each processor is a function (filePath, reportDef, options, context, logger)
+ * that writes its files next to the download and returns { files, ... }.
+ * A failing processor is logged and never fails the report.
+ */
+
+const PROCESSORS = {
+  auth_expiry: { run: runAuthExpiry, schema: AUTH_EXPIRY_SCHEMA },
+  compliance: { run: runComplianceCheck, schema: COMPLIANCE_SCHEMA },
+  payroll: { run: runPayrollExport, schema: PAYROLL_SCHEMA }
+};
+
+export const POST_PROCESSOR_TYPES = Object.keys(PROCESSORS);
+
+/**
+ * Get the config schema of every post-processor type
+ * @returns {Object<string, Object>} JSON Schema per processor type
+ */
+export function getPostProcessorSchemas() {
+  return Object.fromEntries(Object.entries(PROCESSORS).map(([type, processor]) => [type, processor.schema]));
+}
+
+/**
+ * Run a report's post-processors in order
+ * @param {string} filePath - Downloaded file
+ * @param {Object} reportDef - Report definition
+ * @param {Object} context - Run context (reportName, fromDate, toDate, parameters, timezone)
+ * @param {Object} logger - Logger instance
+ * @returns {Array<Object>} One result per processor ({type, success, files, error})
+ */
+export function runPostProcessors(filePath, reportDef, context, logger) {
+  const results = [];
+
+  for (const options of reportDef.post_process || []) {
+    const processor = PROCESSORS[options.type];
+    if (!processor) {
+      logger.error(`Unknown post-processor "${options.type}"`);
+      results.push({ type: options.type, success: false, files: [], error: 'unknown post-processor' });
+      continue;
+    }
+
+    try {
+      logger.info(`Running post-processor "${options.type}"...`);
+      const result = processor.run(filePath, reportDef, options, context, logger);
+      results.push({ type: options.type, success: true, error: null, ...result });
+    } catch (error) {
+      logger.error(`Post-processor "${options.type}" failed: ${error.message}`);
+      results.push({ type: options.type, success: false, files: [], error: error.message });
+    }
+  }
+
+  return results;
+}
@@ -0,0 +1,251 @@
+import path from 'path';
+import { readReportRecords } from './normalize.js';
+import { writeCsvFile } from './tables.js';
+import { parseDateValue, parseNumberValue } from './values.js';
+import { parseDate, formatDate } from './periods.js';
+import { listArchiveEntries } from './archive.js';
+
+/**
+ * Visits vs authorizations reconciliation
+ * Runs after a batch in which either report of a `reconciliations:` entry was
+ * downloaded; the other one comes from the same batch or, failing that, from
+ * the download archive. Flags, for billing:
+ *   - no_active_auth: a visit for a patient without an active authorization
+ *   - outside_auth_dates: a visit outside every active authorization's dates
+ *   - hours_over_authorized: confirmed hours above an authorization's amount
+ *     (only when an authorized hours column is configured)
+ * Column names refer to the raw export headers.
+ */
+
+export const DEFAULT_VISIT_COLUMNS = {
+  visit_id: 'Visit ID',
+  visit_date: 'Visit Date',
+  patient: 'Patient Name',
+  aide: 'Aide Name',
+  hours: 'Hours Confirmed'
+};
+
+export const DEFAULT_AUTHORIZATION_COLUMNS = {
+  patient: 'Patient Name',
+  status: 'Auth Status',
+  start: 'Start Date',
+  end: 'End Date',
+  authorized_hours: null
+};
+
+export const HOURS_PERIODS = ['authorization', 'week'];
+
+const DEFAULT_ACTIVE_STATUSES = ['Active'];
+
+const DISCREPANCY_COLUMNS = [
+  'issue',
+  'patient',
+  'visit_id',
+  'visit_date',
+  'aide',
+  'hours_confirmed',
+  'auth_start',
+  'auth_end',
+  'authorized_hours',
+  'detail'
+];
+
+/**
+ * Normalize a patient name or ID for matching across reports
+ * @param {*} value - Patient cell
+ * @returns {string} Comparable key
+ */
+function patientKey(value) {
+  return String(value ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Get the Monday that starts the week of a date
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {string} Monday (YYYY-MM-DD)
+ */
+function weekStart(date) {
+  const day = parseDate(date);
+  const offset = (day.getUTCDay() + 6) % 7;
+  return formatDate(new Date(day.getTime() - offset * 24 * 60 * 60 * 1000));
+}
+
+/**
+ * Reconcile visit rows against authorization rows
+ * @param {Array<Object>} visitRecords - Visit rows
+ * @param {Array<Object>} authRecords - Authorization rows
+ * @param {Object} options - Options
+ * @param {Object<string, string>} options.visitColumns - Visit column names
+ * @param {Object<string, string>} options.authColumns - Authorization column names
+ * @param {string[]} options.activeStatuses - Auth statuses that count as active
+ * @param {string} options.hoursPeriod - authorization or week
+ * @returns {Array<Object>} Discrepancies
+ */
+export function reconcileVisits(visitRecords, authRecords, options) {
+  const { visitColumns: vc, authColumns: ac, activeStatuses, hoursPeriod } = options;
+
+  const authsByPatient = new Map();
+  for (const record of authRecords) {
+    if (!activeStatuses.includes(String(record[ac.status] ?? '').trim())) continue;
+    const start = parseDateValue(record[ac.start] ?? '');
+    const end = parseDateValue(record[ac.end] ?? '');
+    const auth = {
+      start: start ? start.slice(0, 10) : null,
+      end: end ? end.slice(0, 10) : null,
+      authorizedHours: ac.authorized_hours ? parseNumberValue(record[ac.authorized_hours] ?? '') : null,
+      windows: new Map()
+    };
+    const key = patientKey(record[ac.patient]);
+    if (!authsByPatient.has(key)) authsByPatient.set(key, []);
+    authsByPatient.get(key).push(auth);
+  }
+
+  const discrepancies = [];
+  for (const record of visitRecords) {
+    const visitDate = parseDateValue(record[vc.visit_date] ?? '');
+    const visit = {
+      patient: record[vc.patient] ?? null,
+      visitId: record[vc.visit_id] ?? null,
+      visitDate: visitDate ? visitDate.slice(0, 10) : null,
+      aide: record[vc.aide] ?? null,
+      hours: parseNumberValue(record[vc.hours] ?? '') ?? 0
+    };
+    const base = {
+      patient: visit.patient,
+      visit_id: visit.visitId,
+      visit_date: visit.visitDate,
+      aide: visit.aide,
+      hours_confirmed: visit.hours
+    };
+
+    const auths = authsByPatient.get(patientKey(visit.patient)) || [];
+    if (auths.length === 0) {
+      discrepancies.push({ ...base, issue: 'no_active_auth', detail: 'No active authorization for this patient' });
+      continue;
+    }
+
+    const covering = auths.find(auth => visit.visitDate &&
+      (!auth.start || auth.start <= visit.visitDate) && (!auth.end || visit.visitDate <= auth.end));
+    if (!covering) {
+      discrepancies.push({
+        ...base,
+        issue: 'outside_auth_dates',
+        auth_start: auths.map(auth => auth.start).join(' | '),
+        auth_end: auths.map(auth => auth.end).join(' | '),
+        detail: visit.visitDate ? 'Visit date is outside every active authorization' : 'Visit date missing or unreadable'
+      });
+      continue;
+    }
+
+    if (covering.authorizedHours !== null) {
+      const windowKey = hoursPeriod === 'week' ? weekStart(visit.visitDate) : 'authorization';
+      if (!covering.windows.has(windowKey)) covering.windows.set(windowKey, { hours: 0, visits: [] });
+      const window = covering.windows.get(windowKey);
+      window.hours += visit.hours;
+      window.visits.push(visit);
+    }
+  }
+
+  for (const auths of authsByPatient.values()) {
+    for (const auth of auths) {
+      for (const [windowKey, window] of auth.windows) {
+        if (window.hours <= auth.authorizedHours) continue;
+        discrepancies.push({
+          issue: 'hours_over_authorized',
+          patient: window.visits[0].patient,
+          visit_id: window.visits.map(visit => visit.visitId).join(' | '),
+          visit_date: windowKey === 'authorization' ? null : `week of ${windowKey}`,
+          hours_confirmed: Math.round(window.hours * 100) / 100,
+          auth_start: auth.start,
+          auth_end: auth.end,
+          authorized_hours: auth.authorizedHours,
+          detail: `${window.visits.length} visit(s) total ${Math.round(window.hours * 100) / 100} h, ` +
+            `${Math.round((window.hours - auth.authorizedHours) * 100) / 100} h over the authorized amount`
+        });
+      }
+    }
+  }
+
+  return discrepancies;
+}
+
+/**
+ * Find the archived download of a report that best matches a date range: the
+ * newest one whose range covers it, else the newest one of any range
+ * @param {string} reportName - Report name
+ * @param {string} fromDate - Start of the range to cover
+ * @param {string} toDate - End of the range to cover
+ * @returns {Object|null} Batch-result-like object ({reportName, fromDate, toDate, file}) or null
+ */
+function findArchivedCounterpart(reportName, fromDate, toDate) {
+  const entries = listArchiveEntries({ reportName }).reverse();
+  const entry = entries.find(candidate => candidate.fromDate && fromDate &&
+    candidate.fromDate <= fromDate && candidate.toDate >= toDate) || entries[0];
+  return entry ? { reportName, fromDate: entry.fromDate, toDate: entry.toDate, file: entry.file } : null;
+}
+
+/**
+ * Run every configured reconciliation with at least one report in a batch;
+ * the other report is taken from the archive when the batch did not run it
+ * @param {Object} config - Full configuration
+ * @param {Array<Object>} results - Batch results from runReportBatch()
+ * @param {string} downloadPath - Session download directory
+ * @param {Object} logger - Logger instance
+ * @returns {Array<Object>} One result per reconciliation that ran ({name, success, file, count, error})
+ */
+export function runReconciliations(config, results, downloadPath, logger) {
+  const outcomes = [];
+
+  for (const [name, definition] of Object.entries(config.reconciliations || {})) {
+    let visits = results.find(result => result.reportName === definition.visits && result.success);
+    let auths = results.find(result => result.reportName === definition.authorizations && result.success);
+    if (!visits && !auths) {
+      continue;
+    }
+
+    // A scheduled job usually pulls only one of the two reports
+    if (!auths) {
+      auths = findArchivedCounterpart(definition.authorizations, visits.fromDate, visits.toDate);
+    } else if (!visits) {
+      visits = findArchivedCounterpart(definition.visits, auths.fromDate, auths.toDate);
+    }
+    const archived = [visits, auths].find(side => side && !results.includes(side));
+    if (!visits || !auths) {
+      logger.info(`Reconciliation "${name}" skipped: no download of ${visits ? definition.authorizations : definition.visits} in this run or the archive`);
+      continue;
+    }
+
+    logger.info(`Reconciling ${definition.visits} against ${definition.authorizations} (${name})...`);
+    if (archived) {
+      logger.info(`Reconciliation "${name}": using archived ${archived.reportName} (${archived.fromDate} to ${archived.toDate}): ${archived.file}`);
+    }
+    if (auths.fromDate && (auths.fromDate > visits.fromDate || auths.toDate < visits.toDate)) {
+      logger.warn(`Reconciliation "${name}": ${definition.authorizations} covers ${auths.fromDate} to ${auths.toDate}, ` +
+        `visits cover ${visits.fromDate} to ${visits.toDate}`);
+    }
+    try {
+      const visitRecords = readReportRecords(visits.file, config.reports[definition.visits], { raw: true }).records;
+      const authRecords = readReportRecords(auths.file, config.reports[definition.authorizations], { raw: true }).records;
+
+      const discrepancies = reconcileVisits(visitRecords, authRecords, {
+        visitColumns: { ...DEFAULT_VISIT_COLUMNS, ...definition.visit_columns },
+        authColumns: { ...DEFAULT_AUTHORIZATION_COLUMNS, ...definition.authorization_columns },
+        activeStatuses: definition.active_statuses || DEFAULT_ACTIVE_STATUSES,
+        hoursPeriod: definition.hours_period || 'authorization'
+      });
+
+      const file = path.join(downloadPath, `reconciliation_${name}_${visits.fromDate}_to_${visits.toDate}.csv`);
+      writeCsvFile(file, DISCREPANCY_COLUMNS, discrepancies.map(row => DISCREPANCY_COLUMNS.map(column => row[column] ?? null)));
+
+      const counts = {};
+      discrepancies.forEach((row) => { counts[row.issue] = (counts[row.issue] || 0) + 1; });
+      logger.info(`Reconciliation "${name}": ${discrepancies.length} discrepancies ${JSON.stringify(counts)} -> ${file}`);
+      outcomes.push({ name, success: true, file, count: discrepancies.length, error: null });
+    } catch (error) {
+      logger.error(`Reconciliation "${name}" failed: ${error.message}`);
+      outcomes.push({ name, success: false, file: null, count: 0, error: error.message });
+    }
+  }
+
+  return outcomes;
+}
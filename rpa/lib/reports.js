@@ -6,15 +6,30 @@ import {
   waitForStableUI,
   navigateMenuSequence,
   fillDateRange,
+  fillReportParameters,
   safeClick,
   captureFailureScreenshot,
   retryAction
 } from './navigation.js';
-import {
-  checkExistingDownload,
-  triggerAndWaitForDownload
-} from './downloads.js';
+import { triggerAndWaitForDownload, renderDownloadFilename } from './downloads.js';
+import { findArchivedDownload, findPreviousDownload, archiveDownload, getNextArchiveVersion } from './archive.js';
+import { validateDownloadedFile } from './validation.js';
+import { writeNormalizedOutput } from './normalize.js';
+import { loadIntoWarehouse } from './warehouse.js';
+import { writeDownloadDiff } from './diff.js';
+import { runPostProcessors } from './postprocess.js';
+import { deliverReport } from './delivery.js';
 import { ensureLoggedIn } from './login.js';
+import { resolveReportDateRange } from './periods.js';
+import { resolveReportParameters, formatParameterTag } from './parameters.js';
+import {
+  splitDateRange,
+  getChunkDirectory,
+  loadChunkManifest,
+  saveChunkManifest,
+  isChunkComplete,
+  mergeChunkFiles
+} from './chunks.js';
 
 /**
  * Load report configurations from YAML file
@@ -80,7 +95,7 @@ export function validateReportDefinition(reportDef, reportName, logger) {
 }
 
 /**
- * Execute report download flow
+ * Navigate to a report, fill one date range and download the result
  * @param {import('@playwright/test').Page} page - Playwright page object
  * @param {Object} reportDef - Report definition
  * @param {Object} params - Report parameters
@@ -88,13 +103,16 @@ export function validateReportDefinition(reportDef, reportName, logger) {
  * @param {string} params.fromDate - From date (YYYY-MM-DD)
  * @param {string} params.toDate - To date (YYYY-MM-DD)
  * @param {string} params.downloadPath - Download directory path
+ * @param {Object} [params.parameters] - Resolved report parameter values
+ * @param {string} [params.filenameTemplate] - Save under this template instead of the suggested name
+ * @param {number} [params.version] - Archive version the download will become
  * @param {Object} credentials - Login credentials
  * @param {Object} logger - Logger instance
  * @param {string} sessionId - Session ID
  * @param {boolean} headless - Whether running in headless mode
- * @returns {Promise<string>} Path to downloaded file
+ * @returns {Promise<{file: string, suggestedFilename: string}>} Downloaded file and the suggested name
  */
-export async function executeReportDownload(
+async function downloadReportRange(
   page,
   reportDef,
   params,
@@ -103,140 +121,346 @@ export async function executeReportDownload(
   sessionId,
   headless
 ) {
-  const { reportName, fromDate, toDate, downloadPath } = params;
+  const { fromDate, toDate, downloadPath, parameters = {} } = params;
+  // Placeholder values for menu steps and report center row matching
+  const variables = { report: params.reportName, from: fromDate, to: toDate, param: parameters };
+
+  // Step 1: Ensure we're logged in
+  logger.info('Step 1: Verifying login session...');
+  const isLoggedIn = await ensureLoggedIn(page, credentials, logger, sessionId, headless);
+  if (!isLoggedIn) {
+    throw new Error('Failed to establish login session');
+  }
 
-  logger.info('='.repeat(60));
-  logger.info(`Starting report download: ${reportName}`);
-  logger.info(`Date range: ${fromDate} to ${toDate}`);
-  logger.info('='.repeat(60));
+  // Step 2: Navigate to report start URL
+  logger.info(`Step 2: Navigating to report page: ${reportDef.start_url}`);
+  await retryAction(
+    async () => {
+      await page.goto(reportDef.start_url, {
+        waitUntil: 'domcontentloaded',
+        timeout: 30000
+      });
+      await waitForStableUI(page);
+    },
+    logger,
+    {
+      actionName: 'navigate-to-report-page',
+      page,
+      sessionId
+    }
+  );
 
-  try {
-    // Step 1: Ensure we're logged in
-    logger.info('Step 1: Verifying login session...');
-    const isLoggedIn = await ensureLoggedIn(page, credentials, logger, sessionId, headless);
-    if (!isLoggedIn) {
-      throw new Error('Failed to establish login session');
+  // Step 3: Navigate menu sequence (if configured)
+  if (reportDef.menu_steps && reportDef.menu_steps.length > 0) {
+    logger.info(`Step 3: Navigating menu (${reportDef.menu_steps.length} steps)...`);
+    const menuSuccess = await navigateMenuSequence(
+      page,
+      reportDef.menu_steps,
+      logger,
+      sessionId,
+      variables
+    );
+
+    if (!menuSuccess) {
+      throw new Error('Failed to navigate menu sequence');
     }
+  } else {
+    logger.info('Step 3: Skipping menu navigation (not configured)');
+  }
 
-    // Step 2: Navigate to report start URL
-    logger.info(`Step 2: Navigating to report page: ${reportDef.start_url}`);
-    await retryAction(
+  // Step 4: Fill date range
+  if (reportDef.date_range_selectors) {
+    logger.info('Step 4: Filling date range...');
+    const dateSuccess = await retryAction(
       async () => {
-        await page.goto(reportDef.start_url, {
-          waitUntil: 'domcontentloaded',
-          timeout: 30000
-        });
-        await waitForStableUI(page);
+        return await fillDateRange(
+          page,
+          reportDef.date_range_selectors,
+          fromDate,
+          toDate,
+          logger
+        );
       },
       logger,
       {
-        actionName: 'navigate-to-report-page',
+        actionName: 'fill-date-range',
         page,
         sessionId
       }
     );
 
-    // Step 3: Navigate menu sequence (if configured)
-    if (reportDef.menu_steps && reportDef.menu_steps.length > 0) {
-      logger.info(`Step 3: Navigating menu (${reportDef.menu_steps.length} steps)...`);
-      const menuSuccess = await navigateMenuSequence(
+    if (!dateSuccess) {
+      throw new Error('Failed to fill date range');
+    }
+  } else {
+    logger.info('Step 4: Skipping date range (not configured)');
+  }
+
+  // Step 4b: Fill report parameters (office, payer, status filters, ...)
+  if (Object.keys(parameters).length > 0) {
+    logger.info(`Step 4b: Filling ${Object.keys(parameters).length} report parameter(s)...`);
+    const parametersSuccess = await retryAction(
+      async () => {
+        return await fillReportParameters(page, reportDef.parameters, parameters, logger);
+      },
+      logger,
+      {
+        actionName: 'fill-report-parameters',
         page,
-        reportDef.menu_steps,
-        logger,
         sessionId
-      );
-
-      if (!menuSuccess) {
-        throw new Error('Failed to navigate menu sequence');
       }
-    } else {
-      logger.info('Step 3: Skipping menu navigation (not configured)');
+    );
+
+    if (!parametersSuccess) {
+      throw new Error('Failed to fill report parameters');
     }
+  }
+
+  // Step 5: Click run/generate button if configured
+  if (reportDef.run_button_selector) {
+    logger.info('Step 5: Clicking run/generate button...');
+    await retryAction(
+      async () => {
+        await safeClick(page, reportDef.run_button_selector, logger);
+        await waitForStableUI(page, 10000); // Reports may take time to generate
+      },
+      logger,
+      {
+        actionName: 'click-run-button',
+        page,
+        sessionId
+      }
+    );
+  } else {
+    logger.info('Step 5: Skipping run button (not configured)');
+  }
 
-    // Step 4: Fill date range
-    if (reportDef.date_range_selectors) {
-      logger.info('Step 4: Filling date range...');
-      const dateSuccess = await retryAction(
-        async () => {
-          return await fillDateRange(
-            page,
-            reportDef.date_range_selectors,
-            fromDate,
-            toDate,
-            logger
-          );
-        },
+  // Step 6: Trigger download
+  logger.info('Step 6: Triggering download...');
+  const expectedFilenameRegex = new RegExp(reportDef.expected_filename_regex);
+
+  return await retryAction(
+    async () => {
+      return await triggerAndWaitForDownload(
+        page,
+        reportDef.download_trigger,
+        expectedFilenameRegex,
+        downloadPath,
         logger,
         {
-          actionName: 'fill-date-range',
-          page,
-          sessionId
+          filenameTag: formatParameterTag(parameters),
+          variables,
+          filenameTemplate: params.filenameTemplate,
+          version: params.version
         }
       );
+    },
+    logger,
+    {
+      actionName: 'trigger-download',
+      // Downloads are less retry-friendly, and a retry would queue a second report-center job
+      maxRetries: reportDef.download_trigger.mode === 'report_center' ? 0 : 1,
+      page,
+      sessionId
+    }
+  );
+}
 
-      if (!dateSuccess) {
-        throw new Error('Failed to fill date range');
-      }
-    } else {
-      logger.info('Step 4: Skipping date range (not configured)');
+/**
+ * Download a long date range as consecutive chunks and merge them.
+ * Chunk status is kept in a manifest so a re-run only fetches missing chunks.
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @param {Object} reportDef - Report definition
+ * @param {Object} params - Report parameters (reportName, fromDate, toDate, downloadPath, parameters, version)
+ * @param {Array<{fromDate: string, toDate: string}>} chunks - Chunks to download
+ * @param {Object} credentials - Login credentials
+ * @param {Object} logger - Logger instance
+ * @param {string} sessionId - Session ID
+ * @param {boolean} headless - Whether running in headless mode
+ * @returns {Promise<{file: string, suggestedFilename: string}>} Merged file and the first chunk's suggested name
+ */
+async function downloadInChunks(
+  page,
+  reportDef,
+  params,
+  chunks,
+  credentials,
+  logger,
+  sessionId,
+  headless
+) {
+  const { reportName, fromDate, toDate, downloadPath, parameters = {}, version = 1 } = params;
+  const parameterTag = formatParameterTag(parameters);
+  const chunkDir = getChunkDirectory(reportName, fromDate, toDate, parameterTag);
+  const manifest = loadChunkManifest(chunkDir, chunks);
+  saveChunkManifest(chunkDir, manifest);
+
+  logger.info(`Range exceeds max_range_days (${reportDef.max_range_days}), downloading ${chunks.length} chunks`);
+  logger.info(`Chunk directory: ${chunkDir}`);
+
+  for (let i = 0; i < manifest.chunks.length; i++) {
+    const entry = manifest.chunks[i];
+    const label = `Chunk ${i + 1}/${manifest.chunks.length} (${entry.fromDate} to ${entry.toDate})`;
+
+    if (isChunkComplete(entry)) {
+      logger.info(`${label}: already downloaded, skipping`);
+      continue;
     }
 
-    // Step 5: Click run/generate button if configured
-    if (reportDef.run_button_selector) {
-      logger.info('Step 5: Clicking run/generate button...');
-      await retryAction(
-        async () => {
-          await safeClick(page, reportDef.run_button_selector, logger);
-          await waitForStableUI(page, 10000); // Reports may take time to generate
-        },
+    logger.info(`${label}: downloading...`);
+    const entryDir = path.join(chunkDir, `${entry.fromDate}_to_${entry.toDate}`);
+    fs.mkdirSync(entryDir, { recursive: true });
+
+    try {
+      // Chunks keep their suggested names; the template applies to the merged file
+      const download = await downloadReportRange(
+        page,
+        reportDef,
+        { reportName, fromDate: entry.fromDate, toDate: entry.toDate, downloadPath: entryDir, parameters },
+        credentials,
         logger,
-        {
-          actionName: 'click-run-button',
-          page,
-          sessionId
-        }
+        sessionId,
+        headless
       );
-    } else {
-      logger.info('Step 5: Skipping run button (not configured)');
+      entry.file = download.file;
+      entry.suggestedFilename = download.suggestedFilename;
+      entry.status = 'completed';
+      entry.error = null;
+      logger.info(`${label}: completed`);
+    } catch (error) {
+      entry.status = 'failed';
+      entry.error = error.message;
+      logger.error(`${label}: failed - ${error.message}`);
+      await captureFailureScreenshot(page, sessionId, `report-${reportName}-chunk-${i + 1}-failed`, logger);
     }
 
-    // Step 6: Trigger download
-    logger.info('Step 6: Triggering download...');
-    const expectedFilenameRegex = new RegExp(reportDef.expected_filename_regex);
+    entry.updatedAt = new Date().toISOString();
+    saveChunkManifest(chunkDir, manifest);
+  }
 
-    const downloadedFile = await retryAction(
-      async () => {
-        return await triggerAndWaitForDownload(
-          page,
-          reportDef.download_trigger,
-          expectedFilenameRegex,
-          downloadPath,
-          logger
-        );
-      },
-      logger,
-      {
-        actionName: 'trigger-download',
-        maxRetries: 1, // Downloads are less retry-friendly
-        page,
-        sessionId
-      }
+  const failed = manifest.chunks.filter(entry => entry.status !== 'completed');
+  if (failed.length > 0) {
+    throw new Error(
+      `${failed.length}/${manifest.chunks.length} chunks failed ` +
+      `(${failed.map(entry => `${entry.fromDate}..${entry.toDate}`).join(', ')}); re-run to fetch the missing chunks`
     );
+  }
+
+  const extension = path.extname(manifest.chunks[0].file);
+  // Chunks fetched by a run before suggested names were recorded fall back to the file name
+  const suggestedFilename = manifest.chunks[0].suggestedFilename || path.basename(manifest.chunks[0].file);
+  const outputName = reportDef.filename_template
+    ? renderDownloadFilename(reportDef.filename_template, {
+      report: reportName,
+      from: fromDate,
+      to: toDate,
+      param: parameters,
+      ext: extension.replace(/^\./, ''),
+      suggested: suggestedFilename,
+      suggested_name: path.basename(suggestedFilename, path.extname(suggestedFilename))
+    }, downloadPath, version)
+    : `${reportName}_${fromDate}_to_${toDate}${parameterTag ? `__${parameterTag}` : ''}${extension}`;
+  const outputPath = path.join(downloadPath, outputName);
+  const file = mergeChunkFiles(manifest.chunks.map(entry => entry.file), outputPath, logger);
+  return { file, suggestedFilename };
+}
+
+/**
+ * Execute report download flow
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @param {Object} reportDef - Report definition
+ * @param {Object} params - Report parameters
+ * @param {string} params.reportName - Report name
+ * @param {string} params.fromDate - From date (YYYY-MM-DD)
+ * @param {string} params.toDate - To date (YYYY-MM-DD)
+ * @param {string} params.downloadPath - Download directory path
+ * @param {Object} [params.parameters] - Resolved report parameter values
+ * @param {number} [params.version] - Archive version the download will become (for filename_template)
+ * @param {Object} credentials - Login credentials
+ * @param {Object} logger - Logger instance
+ * @param {string} sessionId - Session ID
+ * @param {boolean} headless - Whether running in headless mode
+ * @returns {Promise<{file: string, suggestedFilename: string}>} Downloaded file and the name HHA Exchange suggested
+ */
+export async function executeReportDownload(
+  page,
+  reportDef,
+  params,
+  credentials,
+  logger,
+  sessionId,
+  headless
+) {
+  const { reportName, fromDate, toDate, parameters = {} } = params;
+
+  logger.info('='.repeat(60));
+  logger.info(`Starting report download: ${reportName}`);
+  logger.info(`Date range: ${fromDate} to ${toDate}`);
+  if (Object.keys(parameters).length > 0) {
+    logger.info(`Parameters: ${JSON.stringify(parameters)}`);
+  }
+  logger.info('='.repeat(60));
+
+  try {
+    const chunks = reportDef.max_range_days
+      ? splitDateRange(fromDate, toDate, reportDef.max_range_days)
+      : [{ fromDate, toDate }];
+
+    let download;
+    if (chunks.length > 1) {
+      download = await downloadInChunks(
+        page,
+        reportDef,
+        params,
+        chunks,
+        credentials,
+        logger,
+        sessionId,
+        headless
+      );
+    } else {
+      download = await downloadReportRange(
+        page,
+        reportDef,
+        { ...params, filenameTemplate: reportDef.filename_template },
+        credentials,
+        logger,
+        sessionId,
+        headless
+      );
+    }
+    const downloadedFile = download.file;
 
     // Step 7: Validate download (if validation rules exist)
     if (reportDef.validation) {
       logger.info('Step 7: Validating downloaded file...');
-      await validateDownloadedFile(downloadedFile, reportDef.validation, logger);
+      const validation = await validateDownloadedFile(downloadedFile, reportDef.validation, logger, {
+        reportName,
+        fromDate,
+        toDate
+      });
+      if (!validation.passed && reportDef.validation.strict) {
+        throw new Error(`Validation failed (strict mode): ${validation.problems.join('; ')}`);
+      }
     } else {
       logger.info('Step 7: Skipping validation (not configured)');
     }
 
+    // Step 8: Write normalized output (if an output mapping exists)
+    if (reportDef.output) {
+      logger.info('Step 8: Writing normalized output...');
+      writeNormalizedOutput(downloadedFile, reportDef.output, logger, {
+        sheet: reportDef.output.sheet ?? reportDef.validation?.sheet,
+        headerRow: reportDef.output.header_row ?? reportDef.validation?.header_row
+      });
+    }
+
     logger.info('='.repeat(60));
     logger.info(`Report download completed successfully: ${reportName}`);
     logger.info(`File: ${downloadedFile}`);
     logger.info('='.repeat(60));
 
-    return downloadedFile;
+    return download;
   } catch (error) {
     logger.error(`Report download failed: ${error.message}`);
     await captureFailureScreenshot(page, sessionId, `report-${reportName}-failed`, logger);
@@ -245,55 +469,7 @@ export async function executeReportDownload(
 }
 
 /**
- * Validate downloaded file content
- * @param {string} filePath - Path to downloaded file
- * @param {Object} validationRules - Validation rules
- * @param {Object} logger - Logger instance
- * @returns {Promise<boolean>} Validation result
- */
-async function validateDownloadedFile(filePath, validationRules, logger) {
-  logger.info('Running validation checks...');
-
-  try {
-    // Check required columns (for CSV files)
-    if (validationRules.required_columns) {
-      const fileContent = fs.readFileSync(filePath, 'utf8');
-      const firstLine = fileContent.split('\n')[0];
-
-      for (const column of validationRules.required_columns) {
-        if (!firstLine.includes(column)) {
-          logger.warn(`Validation warning: Expected column "${column}" not found in header`);
-        } else {
-          logger.info(`Column "${column}" found`);
-        }
-      }
-    }
-
-    // Check minimum row count
-    if (validationRules.min_rows) {
-      const fileContent = fs.readFileSync(filePath, 'utf8');
-      const lines = fileContent.split('\n').filter(line => line.trim());
-      const rowCount = lines.length - 1; // Subtract header
-
-      if (rowCount < validationRules.min_rows) {
-        logger.warn(
-          `Validation warning: Expected at least ${validationRules.min_rows} rows, found ${rowCount}`
-        );
-      } else {
-        logger.info(`Row count validation passed: ${rowCount} rows`);
-      }
-    }
-
-    logger.info('Validation checks completed');
-    return true;
-  } catch (error) {
-    logger.error(`Validation failed: ${error.message}`);
-    return false;
-  }
-}
-
-/**
- * Run report with idempotency check
+ * Run report with idempotency check against the persistent download archive
  * @param {import('@playwright/test').Page} page - Playwright page object
  * @param {Object} config - Full configuration
  * @param {Object} params - Report parameters
@@ -301,12 +477,12 @@ async function validateDownloadedFile(filePath, validationRules, logger) {
  * @param {Object} logger - Logger instance
  * @param {string} sessionId - Session ID
  * @param {Object} options - Additional options
- * @param {boolean} options.force - Force re-download even if exists
+ * @param {boolean} options.force - Download again and archive a new version
  * @param {boolean} options.headless - Headless mode
- * @returns {Promise<string>} Path to downloaded file
+ * @returns {Promise<{file: string, suggestedFilename: string|null, deliveries: Array<Object>, warehouseError: string|null}>} Downloaded file, the name HHA Exchange suggested for it, delivery results and any warehouse load error
  */
 export async function runReport(page, config, params, credentials, logger, sessionId, options = {}) {
-  const { reportName, downloadPath } = params;
+  const { reportName, fromDate, toDate, parameters = {} } = params;
   const { force = false, headless = true } = options;
 
   // Get and validate report definition
@@ -317,28 +493,184 @@ export async function runReport(page, config, params, credentials, logger, sessi
     throw new Error(`Invalid report definition for "${reportName}"`);
   }
 
-  // Check for existing download (idempotency)
+  const identity = { reportName, fromDate, toDate, params: parameters, sessionId };
+
+  // Check the archive for a previous download (idempotency)
   if (!force) {
-    const expectedFilenameRegex = new RegExp(reportDef.expected_filename_regex);
-    const existingFile = checkExistingDownload(downloadPath, expectedFilenameRegex, logger);
+    const archived = findArchivedDownload(identity, logger);
 
-    if (existingFile) {
-      logger.info('Existing download found and --force not specified');
-      logger.info(`Using existing file: ${existingFile}`);
-      return existingFile;
+    if (archived) {
+      logger.info('Archived download found and --force not specified');
+      logger.info(`Using archived file: ${archived.file}`);
+      return { file: archived.file, suggestedFilename: archived.suggestedFilename ?? null, deliveries: [], warehouseError: null };
     }
   } else {
-    logger.info('Force mode enabled, will re-download even if file exists');
+    logger.info('Force mode enabled, will download again and archive a new version');
   }
 
-  // Execute the download
-  return await executeReportDownload(
+  // Execute the download (a filename_template names later versions with a _v<N> suffix)
+  const { file: downloadedFile, suggestedFilename } = await executeReportDownload(
     page,
     reportDef,
-    params,
+    { ...params, version: getNextArchiveVersion(identity) },
     credentials,
     logger,
     sessionId,
     headless
   );
+
+  // Upsert rows into the local warehouse (if configured); a failed load never fails the report
+  let warehouseError = null;
+  if (reportDef.warehouse) {
+    logger.info('Loading rows into the warehouse...');
+    try {
+      loadIntoWarehouse(config, reportDef, downloadedFile, { reportName, fromDate, toDate }, logger);
+    } catch (error) {
+      warehouseError = error.message;
+      logger.warn(`Warehouse load failed: ${error.message}`);
+    }
+  }
+
+  // Compare with the previous archived version (if configured)
+  if (reportDef.diff) {
+    const previous = findPreviousDownload(identity);
+    if (previous) {
+      try {
+        writeDownloadDiff(downloadedFile, previous.file, reportDef, logger);
+      } catch (error) {
+        logger.warn(`Diff against previous download failed: ${error.message}`);
+      }
+    } else {
+      logger.info('No previous download to diff against');
+    }
+  }
+
+  // Post-processors (alerts, exception lists, exports)
+  if (reportDef.post_process) {
+    runPostProcessors(
+      downloadedFile,
+      reportDef,
+      { reportName, fromDate, toDate, parameters, timezone: config.global?.timezone },
+      logger
+    );
+  }
+
+  const archived = archiveDownload(downloadedFile, { ...identity, suggestedFilename }, logger);
+
+  // Deliveries that fail are recorded for a later retry and never fail the report
+  let deliveries = [];
+  if (reportDef.deliver) {
+    deliveries = await deliverReport(
+      config,
+      reportDef,
+      { file: downloadedFile, archivedFile: archived.file },
+      { reportName, fromDate, toDate, parameters, sessionId },
+      logger
+    );
+  }
+
+  return { file: downloadedFile, suggestedFilename, deliveries, warehouseError };
+}
+
+/**
+ * Resolve which reports a batch should run
+ * @param {Object} config - Full configuration
+ * @param {Object} selection - Report selection
+ * @param {string} [selection.report] - Single report name
+ * @param {string|string[]} [selection.reports] - Comma-separated list or array of report names
+ * @param {boolean} [selection.all] - Run every report defined in config
+ * @returns {string[]} Ordered, de-duplicated report names
+ */
+export function resolveReportNames(config, selection) {
+  const { report, reports, all = false } = selection;
+  let names = [];
+
+  if (all) {
+    names = Object.keys(config.reports || {});
+  } else {
+    if (report) {
+      names.push(report);
+    }
+    if (reports) {
+      const list = Array.isArray(reports) ? reports : [reports];
+      for (const entry of list) {
+        names.push(...String(entry).split(','));
+      }
+    }
+  }
+
+  names = [...new Set(names.map(name => name.trim()).filter(Boolean))];
+
+  if (names.length === 0) {
+    throw new Error('No reports selected. Use --report, --reports or --all');
+  }
+
+  const unknown = names.filter(name => !config.reports || !config.reports[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Report(s) not found in configuration: ${unknown.join(', ')}`);
+  }
+
+  return names;
+}
+
+/**
+ * Run several reports one after another on the same logged-in page.
+ * A failed report is recorded and the batch continues with the next one.
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @param {Object} config - Full configuration
+ * @param {string[]} reportNames - Reports to run, in order
+ * @param {Object} params - Shared report parameters
+ * @param {string} [params.fromDate] - Explicit start date (YYYY-MM-DD)
+ * @param {string} [params.toDate] - Explicit end date (YYYY-MM-DD)
+ * @param {string} [params.period] - Named period, used when no explicit dates are given
+ * @param {string} [params.asOf] - Reference instant for resolving periods (defaults to now)
+ * @param {Object} [params.parameters] - Report parameter overrides from --param
+ * @param {string} params.downloadPath - Download directory path
+ * @param {Object} credentials - Login credentials
+ * @param {Object} logger - Logger instance
+ * @param {string} sessionId - Session ID
+ * @param {Object} options - Options passed through to runReport
+ * @returns {Promise<Array<Object>>} Per-report results
+ */
+export async function runReportBatch(page, config, reportNames, params, credentials, logger, sessionId, options = {}) {
+  const { fromDate, toDate, period, asOf, parameters: overrides = {}, ...sharedParams } = params;
+  const timezone = config.global?.timezone;
+  const results = [];
+
+  for (let i = 0; i < reportNames.length; i++) {
+    const reportName = reportNames[i];
+    const startTime = Date.now();
+    let range = { fromDate: null, toDate: null, period: null };
+    let parameters = {};
+    logger.info(`Batch report ${i + 1}/${reportNames.length}: ${reportName}`);
+
+    try {
+      const reportDef = getReportDefinition(config, reportName, logger);
+      parameters = resolveReportParameters(reportDef, overrides);
+      range = resolveReportDateRange(
+        reportDef,
+        { fromDate, toDate, period },
+        { timezone, now: asOf ? new Date(asOf) : undefined }
+      );
+      if (range.period) {
+        logger.info(`Period "${range.period}" resolved to ${range.fromDate} to ${range.toDate}`);
+      }
+
+      const { file, suggestedFilename, deliveries, warehouseError } = await runReport(
+        page,
+        config,
+        { ...sharedParams, reportName, fromDate: range.fromDate, toDate: range.toDate, parameters },
+        credentials,
+        logger,
+        sessionId,
+        options
+      );
+      results.push({ reportName, ...range, parameters, success: true, file, suggestedFilename, deliveries, warehouseError, error: null, durationMs: Date.now() - startTime });
+    } catch (error) {
+      logger.error(`Report "${reportName}" failed: ${error.message}`);
+      results.push({ reportName, ...range, parameters, success: false, file: null, suggestedFilename: null, deliveries: [], warehouseError: null, error: error.message, durationMs: Date.now() - startTime });
+    }
+  }
+
+  return results;
 }
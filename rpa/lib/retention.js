@@ -0,0 +1,334 @@
+import fs from 'fs';
+import path from 'path';
+import { readRunManifest } from './downloads.js';
+import { getScreenshotDir } from './logger.js';
+import { getArchiveDir, loadArchiveIndex, saveArchiveIndex } from './archive.js';
+
+/**
+ * Retention policies
+ * `retention:` in config.yaml says how long each kind of PHI-bearing output is
+ * kept; planPurge() works out what falls outside the policies and
+ * applyPurge() deletes it. The purge command and the scheduler share both.
+ *
+ *   retention:
+ *     downloads:   { keep_days, keep_last_per_report, failure_keep_days }
+ *     logs:        { keep_days, failure_keep_days }
+ *     screenshots: { keep_days }
+ *     archive:     { keep_days, keep_last_per_report }
+ *     decrypted:   { keep_days }
+ *
+ * A target without a block is never purged. "Failure" means a session whose
+ * manifest records a failed report, or that never wrote a manifest.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Folders under downloads/ that are not sessions
+const NON_SESSION_DIRS = ['archive', 'chunks'];
+
+// Logs that are an audit trail rather than run output
+const PROTECTED_LOGS = ['decrypt-audit.log'];
+
+export const RETENTION_TARGETS = ['downloads', 'logs', 'screenshots', 'archive', 'decrypted'];
+
+/**
+ * Get the total size of a file or directory
+ * @param {string} target - Path
+ * @returns {number} Size in bytes
+ */
+function getSize(target) {
+  const stats = fs.statSync(target);
+  if (!stats.isDirectory()) {
+    return stats.size;
+  }
+  return fs.readdirSync(target).reduce((sum, name) => sum + getSize(path.join(target, name)), 0);
+}
+
+/**
+ * Get the age of an instant in days
+ * @param {Date|string|number} time - Instant
+ * @param {Date} now - Reference instant
+ * @returns {number} Age in days (fractional)
+ */
+function ageInDays(time, now) {
+  return (now.getTime() - new Date(time).getTime()) / DAY_MS;
+}
+
+/**
+ * List download sessions with their age, outcome and reports
+ * @param {Date} now - Reference instant
+ * @returns {Array<Object>} Sessions, newest first ({id, dir, time, failed, reports})
+ */
+function listSessions(now) {
+  const downloadsDir = path.join(process.cwd(), 'downloads');
+  if (!fs.existsSync(downloadsDir)) {
+    return [];
+  }
+
+  return fs.readdirSync(downloadsDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && !NON_SESSION_DIRS.includes(entry.name))
+    .map((entry) => {
+      const dir = path.join(downloadsDir, entry.name);
+      let manifest = null;
+      try {
+        manifest = readRunManifest(dir);
+      } catch (error) {
+        // An unreadable manifest counts as a failed session
+      }
+      const results = manifest?.results || [];
+      return {
+        id: entry.name,
+        dir,
+        time: new Date(manifest?.finishedAt || manifest?.startedAt || fs.statSync(dir).mtime),
+        failed: !manifest || results.some(result => !result.success),
+        reports: [...new Set(results.filter(result => result.success).map(result => result.reportName))]
+      };
+    })
+    .filter(session => session.time <= now)
+    .sort((a, b) => b.time - a.time);
+}
+
+/**
+ * Find the sessions that hold one of the newest N successful downloads of a report
+ * @param {Array<Object>} sessions - Sessions, newest first
+ * @param {number} keepLast - Downloads to keep per report
+ * @returns {Set<string>} Protected session IDs
+ */
+function protectLatestPerReport(sessions, keepLast) {
+  const counts = new Map();
+  const protectedIds = new Set();
+
+  for (const session of sessions) {
+    for (const reportName of session.reports) {
+      const count = counts.get(reportName) || 0;
+      if (count < keepLast) {
+        counts.set(reportName, count + 1);
+        protectedIds.add(session.id);
+      }
+    }
+  }
+
+  return protectedIds;
+}
+
+/**
+ * Plan session folders and chunk folders to delete
+ * @param {Object} policy - retention.downloads
+ * @param {Array<Object>} sessions - Sessions, newest first
+ * @param {Date} now - Reference instant
+ * @returns {Array<Object>} Purge items
+ */
+function planDownloads(policy, sessions, now) {
+  const failureKeepDays = policy.failure_keep_days ?? policy.keep_days;
+  const protectedIds = protectLatestPerReport(sessions, policy.keep_last_per_report ?? 0);
+  const items = [];
+
+  for (const session of sessions) {
+    const age = ageInDays(session.time, now);
+    if (age < policy.keep_days || protectedIds.has(session.id)) continue;
+    if (session.failed && age < failureKeepDays) continue;
+    items.push({ target: 'downloads', path: session.dir, ageDays: Math.floor(age), reason: session.failed ? 'failed session' : 'session' });
+  }
+
+  // Chunk folders only exist to resume a long range, so they live as long as failures do
+  const chunksDir = path.join(process.cwd(), 'downloads', 'chunks');
+  if (fs.existsSync(chunksDir)) {
+    for (const reportName of fs.readdirSync(chunksDir)) {
+      const reportDir = path.join(chunksDir, reportName);
+      if (!fs.statSync(reportDir).isDirectory()) continue;
+      for (const rangeName of fs.readdirSync(reportDir)) {
+        const rangeDir = path.join(reportDir, rangeName);
+        const age = ageInDays(fs.statSync(rangeDir).mtime, now);
+        if (age >= Math.max(policy.keep_days, failureKeepDays)) {
+          items.push({ target: 'downloads', path: rangeDir, ageDays: Math.floor(age), reason: 'chunks' });
+        }
+      }
+    }
+  }
+
+  return items;
+}
+
+/**
+ * Plan session logs to delete
+ * @param {Object} policy - retention.logs
+ * @param {Array<Object>} sessions - Sessions (to tell failed runs apart)
+ * @param {Date} now - Reference instant
+ * @returns {Array<Object>} Purge items
+ */
+function planLogs(policy, sessions, now) {
+  const logsDir = path.join(process.cwd(), 'logs');
+  if (!fs.existsSync(logsDir)) {
+    return [];
+  }
+
+  const failureKeepDays = policy.failure_keep_days ?? policy.keep_days;
+  const failedIds = new Set(sessions.filter(session => session.failed).map(session => session.id));
+
+  return fs.readdirSync(logsDir)
+    .filter(name => name.endsWith('.log') && !PROTECTED_LOGS.includes(name))
+    .map((name) => {
+      const file = path.join(logsDir, name);
+      const failed = failedIds.has(path.basename(name, '.log'));
+      return { file, failed, age: ageInDays(fs.statSync(file).mtime, now) };
+    })
+    .filter(({ failed, age }) => age >= (failed ? Math.max(policy.keep_days, failureKeepDays) : policy.keep_days))
+    .map(({ file, failed, age }) => ({ target: 'logs', path: file, ageDays: Math.floor(age), reason: failed ? 'failed session log' : 'log' }));
+}
+
+/**
+ * Plan failure screenshots to delete
+ * @param {Object} policy - retention.screenshots
+ * @param {Date} now - Reference instant
+ * @returns {Array<Object>} Purge items
+ */
+function planScreenshots(policy, now) {
+  const screenshotDir = getScreenshotDir();
+  if (!fs.existsSync(screenshotDir)) {
+    return [];
+  }
+
+  return fs.readdirSync(screenshotDir)
+    .map(name => path.join(screenshotDir, name))
+    .filter(file => fs.statSync(file).isFile())
+    .map(file => ({ file, age: ageInDays(fs.statSync(file).mtime, now) }))
+    .filter(({ age }) => age >= policy.keep_days)
+    .map(({ file, age }) => ({ target: 'screenshots', path: file, ageDays: Math.floor(age), reason: 'screenshot' }));
+}
+
+/**
+ * Plan archive versions to delete
+ * @param {Object} policy - retention.archive
+ * @param {Date} now - Reference instant
+ * @returns {Array<Object>} Purge items (with the archive entry)
+ */
+function planArchive(policy, now) {
+  const entries = loadArchiveIndex().entries;
+  const keepLast = policy.keep_last_per_report ?? 0;
+  const seen = new Map();
+  const items = [];
+
+  const newestFirst = [...entries].sort((a, b) => b.archivedAt.localeCompare(a.archivedAt) || b.version - a.version);
+  for (const entry of newestFirst) {
+    const count = seen.get(entry.reportName) || 0;
+    seen.set(entry.reportName, count + 1);
+
+    const age = ageInDays(entry.archivedAt, now);
+    if (count < keepLast || age < policy.keep_days) continue;
+    items.push({ target: 'archive', path: entry.file, ageDays: Math.floor(age), reason: `archive v${entry.version}`, entry });
+  }
+
+  return items;
+}
+
+/**
+ * Plan plaintext copies written by the decrypt command to delete
+ * @param {Object} policy - retention.decrypted
+ * @param {Date} now - Reference instant
+ * @returns {Array<Object>} Purge items
+ */
+function planDecrypted(policy, now) {
+  const decryptedDir = path.join(process.cwd(), 'decrypted');
+  if (!fs.existsSync(decryptedDir)) {
+    return [];
+  }
+
+  return fs.readdirSync(decryptedDir)
+    .map(name => path.join(decryptedDir, name))
+    .map(file => ({ file, age: ageInDays(fs.statSync(file).mtime, now) }))
+    .filter(({ age }) => age >= policy.keep_days)
+    .map(({ file, age }) => ({ target: 'decrypted', path: file, ageDays: Math.floor(age), reason: 'decrypted copy' }));
+}
+
+/**
+ * Work out what the retention policies would delete
+ * @param {Object} retention - retention block from config.yaml
+ * @param {Date} [now] - Reference instant
+ * @returns {Array<Object>} Purge items ({target, path, ageDays, reason, bytes})
+ */
+export function planPurge(retention = {}, now = new Date()) {
+  const sessions = listSessions(now);
+  const items = [];
+
+  if (retention.downloads) items.push(...planDownloads(retention.downloads, sessions, now));
+  if (retention.logs) items.push(...planLogs(retention.logs, sessions, now));
+  if (retention.screenshots) items.push(...planScreenshots(retention.screenshots, now));
+  if (retention.archive) items.push(...planArchive(retention.archive, now));
+  if (retention.decrypted) items.push(...planDecrypted(retention.decrypted, now));
+
+  return items.map(item => ({ ...item, bytes: fs.existsSync(item.path) ? getSize(item.path) : 0 }));
+}
+
+/**
+ * Delete planned items; archive entries are also dropped from the index
+ * @param {Array<Object>} items - Items from planPurge()
+ * @param {Object} logger - Logger instance
+ * @returns {{deleted: number, failed: number, bytes: number}} Totals
+ */
+export function applyPurge(items, logger) {
+  const totals = { deleted: 0, failed: 0, bytes: 0 };
+  const removedEntries = new Set();
+
+  for (const item of items) {
+    try {
+      fs.rmSync(item.path, { recursive: true, force: true });
+      if (item.entry) {
+        removedEntries.add(item.entry.file);
+        // Drop the now-empty version folder (and range folder) left behind
+        for (let dir = path.dirname(item.path); dir.startsWith(getArchiveDir()) && dir !== getArchiveDir(); dir = path.dirname(dir)) {
+          if (!fs.existsSync(dir) || fs.readdirSync(dir).length > 0) break;
+          fs.rmdirSync(dir);
+        }
+      }
+      totals.deleted++;
+      totals.bytes += item.bytes;
+    } catch (error) {
+      logger.error(`Could not delete ${item.path}: ${error.message}`);
+      totals.failed++;
+    }
+  }
+
+  if (removedEntries.size > 0) {
+    const index = loadArchiveIndex();
+    index.entries = index.entries.filter(entry => !removedEntries.has(entry.file));
+    saveArchiveIndex(index);
+  }
+
+  return totals;
+}
+
+/**
+ * Apply the configured retention policies
+ * @param {Object} config - Full configuration
+ * @param {Object} options - Options
+ * @param {boolean} options.dryRun - Only report what would be deleted
+ * @param {Object} logger - Logger instance
+ * @returns {{items: Array<Object>, deleted: number, failed: number, bytes: number}} Planned items and totals
+ */
+export function runPurge(config, options, logger) {
+  const { dryRun = false } = options;
+  const retention = config.retention || {};
+  const configured = RETENTION_TARGETS.filter(target => retention[target]);
+
+  if (configured.length === 0) {
+    logger.warn('No retention policies configured; nothing to purge');
+    return { items: [], deleted: 0, failed: 0, bytes: 0 };
+  }
+
+  const items = planPurge(retention);
+  const prefix = dryRun ? '[dry-run] would delete' : 'Deleting';
+  for (const item of items) {
+    logger.info(`${prefix} ${path.relative(process.cwd(), item.path)} (${item.reason}, ${item.ageDays} days old, ${item.bytes} bytes)`);
+  }
+
+  const totalBytes = items.reduce((sum, item) => sum + item.bytes, 0);
+  if (dryRun) {
+    logger.info(`[dry-run] ${items.length} item(s), ${totalBytes} bytes would be deleted (${configured.join(', ')})`);
+    return { items, deleted: 0, failed: 0, bytes: 0 };
+  }
+
+  const totals = applyPurge(items, logger);
+  logger.info(`Purge finished: ${totals.deleted} item(s) deleted, ${totals.bytes} bytes freed` +
+    (totals.failed > 0 ? `, ${totals.failed} failed` : ''));
+  return { items, ...totals };
+}
@@ -0,0 +1,232 @@
+import fs from 'fs';
+import path from 'path';
+import cronParser from 'cron-parser';
+
+/**
+ * Scheduler state, run history and due-time calculation
+ * State lives under state/ in the working directory:
+ *   - scheduler-state.json: last scheduled fire time per job
+ *   - run-history.jsonl: one JSON record per job run (append-only)
+ *   - scheduler.lock: PID of the running scheduler
+ */
+
+const STATE_FILE = 'scheduler-state.json';
+const HISTORY_FILE = 'run-history.jsonl';
+const LOCK_FILE = 'scheduler.lock';
+const DEFAULT_MAX_CATCH_UP = 3;
+
+/**
+ * Get the scheduler state directory
+ * @returns {string} State directory path
+ */
+export function getStateDir() {
+  const stateDir = path.join(process.cwd(), 'state');
+
+  if (!fs.existsSync(stateDir)) {
+    fs.mkdirSync(stateDir, { recursive: true });
+  }
+
+  return stateDir;
+}
+
+/**
+ * Read and normalize the schedules section of the configuration
+ * @param {Object} config - Full configuration
+ * @returns {Array<Object>} Job definitions
+ */
+export function getScheduleJobs(config) {
+  const schedules = config.schedules || {};
+
+  return Object.entries(schedules).map(([name, job]) => {
+    if (!job || !job.cron) {
+      throw new Error(`Schedule "${name}" is missing a cron expression`);
+    }
+
+    const reports = Array.isArray(job.reports) ? job.reports : String(job.reports || '').split(',');
+    const reportNames = reports.map(report => String(report).trim()).filter(Boolean);
+    if (reportNames.length === 0) {
+      throw new Error(`Schedule "${name}" has no reports`);
+    }
+
+    const unknown = reportNames.filter(report => !config.reports || !config.reports[report]);
+    if (unknown.length > 0) {
+      throw new Error(`Schedule "${name}" references unknown report(s): ${unknown.join(', ')}`);
+    }
+
+    // Parse once up front so a bad expression fails at startup
+    cronParser.parseExpression(job.cron);
+
+    return {
+      name,
+      cron: job.cron,
+      reports: reportNames,
+      period: job.period || null,
+      deliverTo: job.deliver_to || null,
+      params: job.params || {},
+      enabled: job.enabled !== false,
+      catchUp: job.catch_up !== false,
+      maxCatchUp: job.max_catch_up ?? DEFAULT_MAX_CATCH_UP
+    };
+  });
+}
+
+/**
+ * List fire times of a cron expression after one instant and up to another
+ * @param {string} cron - Cron expression
+ * @param {Date} after - Exclusive lower bound
+ * @param {Date} until - Inclusive upper bound
+ * @param {string} [timezone] - IANA timezone the expression is evaluated in
+ * @returns {Date[]} Fire times in order
+ */
+export function getDueRuns(cron, after, until, timezone) {
+  const interval = cronParser.parseExpression(cron, {
+    currentDate: after,
+    endDate: until,
+    tz: timezone || undefined
+  });
+
+  const due = [];
+  while (interval.hasNext()) {
+    due.push(interval.next().toDate());
+  }
+  return due;
+}
+
+/**
+ * Get the next fire time of a cron expression
+ * @param {string} cron - Cron expression
+ * @param {Date} after - Reference instant
+ * @param {string} [timezone] - IANA timezone
+ * @returns {Date} Next fire time
+ */
+export function getNextRun(cron, after, timezone) {
+  return cronParser.parseExpression(cron, { currentDate: after, tz: timezone || undefined }).next().toDate();
+}
+
+/**
+ * Load scheduler state
+ * @returns {{jobs: Object<string, {lastScheduledFor: string}>}} State
+ */
+export function loadSchedulerState() {
+  const statePath = path.join(getStateDir(), STATE_FILE);
+
+  if (!fs.existsSync(statePath)) {
+    return { jobs: {} };
+  }
+
+  return JSON.parse(fs.readFileSync(statePath, 'utf8'));
+}
+
+/**
+ * Save scheduler state
+ * @param {Object} state - State to save
+ */
+export function saveSchedulerState(state) {
+  const statePath = path.join(getStateDir(), STATE_FILE);
+  const tempPath = `${statePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(state, null, 2));
+  fs.renameSync(tempPath, statePath);
+}
+
+/**
+ * Append one record to the run history
+ * @param {Object} record - Run record
+ */
+export function appendRunHistory(record) {
+  fs.appendFileSync(path.join(getStateDir(), HISTORY_FILE), `${JSON.stringify(record)}\n`);
+}
+
+/**
+ * Read the run history, newest last
+ * @param {Object} options - Options
+ * @param {string} [options.job] - Only this job
+ * @param {number} [options.limit] - Only the last N records
+ * @returns {Array<Object>} Run records
+ */
+export function readRunHistory(options = {}) {
+  const { job, limit } = options;
+  const historyPath = path.join(getStateDir(), HISTORY_FILE);
+
+  if (!fs.existsSync(historyPath)) {
+    return [];
+  }
+
+  const records = fs.readFileSync(historyPath, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => JSON.parse(line))
+    .filter(record => !job || record.job === job);
+
+  return limit ? records.slice(-limit) : records;
+}
+
+/**
+ * Check whether a process is still running
+ * @param {number} pid - Process ID
+ * @returns {boolean} True if alive
+ */
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Read the PID recorded in a lock file
+ * @param {string} lockPath - Lock file path
+ * @returns {number|null} PID, or null if the file is gone or holds no PID yet
+ */
+function readLockPid(lockPath) {
+  try {
+    return Number(fs.readFileSync(lockPath, 'utf8').trim()) || null;
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Take the scheduler lock so two schedulers never run jobs side by side.
+ * The lock file is created exclusively, so of two schedulers started
+ * together only one gets it. A lock left behind by a dead process is taken over.
+ * @param {Object} logger - Logger instance
+ */
+export function acquireSchedulerLock(logger) {
+  const lockPath = path.join(getStateDir(), LOCK_FILE);
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      fs.writeFileSync(lockPath, String(process.pid), { flag: 'wx' });
+      return;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    const pid = readLockPid(lockPath);
+    if (pid === process.pid) return;
+    // No PID yet means another scheduler has just created the file and is writing it
+    if (pid === null || isProcessAlive(pid) || attempt >= 3) {
+      throw new Error(`Another scheduler is already running (pid ${pid ?? 'unknown'}, lock ${lockPath})`);
+    }
+
+    // Only remove the lock if it still names the dead process, not a newer owner
+    if (readLockPid(lockPath) === pid) {
+      logger.warn(`Removing stale scheduler lock from pid ${pid}`);
+      fs.rmSync(lockPath, { force: true });
+    }
+  }
+}
+
+/**
+ * Release the scheduler lock if this process holds it
+ */
+export function releaseSchedulerLock() {
+  const lockPath = path.join(getStateDir(), LOCK_FILE);
+
+  if (fs.existsSync(lockPath) && Number(fs.readFileSync(lockPath, 'utf8').trim()) === process.pid) {
+    fs.unlinkSync(lockPath);
+  }
+}
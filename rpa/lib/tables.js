@@ -0,0 +1,217 @@
+import path from 'path';
+import { parse } from 'csv-parse/sync';
+import * as XLSX from 'xlsx';
+import { readDataFile, writeDataFile } from './encryption.js';
+
+/**
+ * Tabular file reading
+ * Turns a downloaded export (CSV/TXT or an Excel workbook) into a header row
+ * plus data rows. CSV is parsed per RFC 4180 (quoted delimiters, escaped quotes
+ * and embedded newlines) after detecting the encoding: UTF-8 and UTF-16
+ * (with or without a byte order mark), falling back to Windows-1252.
+ */
+
+const WORKBOOK_EXTENSIONS = ['.xlsx', '.xls', '.xlsm', '.xlsb', '.ods'];
+const SNIFF_BYTES = 4096;
+
+/**
+ * Check whether a file is a spreadsheet workbook
+ * @param {string} filePath - File path
+ * @returns {boolean} True for Excel/ODS files
+ */
+export function isWorkbook(filePath) {
+  return WORKBOOK_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+/**
+ * Guess the encoding of text without a byte order mark
+ * @param {Buffer} buffer - Raw file content
+ * @returns {string} TextDecoder encoding label
+ */
+function sniffEncoding(buffer) {
+  const sample = buffer.subarray(0, SNIFF_BYTES);
+  let evenZeros = 0;
+  let oddZeros = 0;
+
+  for (let i = 0; i < sample.length; i++) {
+    if (sample[i] === 0) {
+      if (i % 2 === 0) evenZeros++;
+      else oddZeros++;
+    }
+  }
+
+  // ASCII text in UTF-16 has a zero byte in every other position
+  const half = sample.length / 2;
+  if (half > 0 && oddZeros > half * 0.3 && evenZeros < oddZeros / 10) return 'utf-16le';
+  if (half > 0 && evenZeros > half * 0.3 && oddZeros < evenZeros / 10) return 'utf-16be';
+
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return 'utf-8';
+  } catch {
+    return 'windows-1252';
+  }
+}
+
+/**
+ * Decode a text file, detecting its encoding from the byte order mark or content
+ * @param {Buffer} buffer - Raw file content
+ * @returns {{text: string, encoding: string}} Decoded text (without BOM) and the encoding used
+ */
+export function decodeText(buffer) {
+  let encoding;
+  let offset = 0;
+
+  if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+    encoding = 'utf-8';
+    offset = 3;
+  } else if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+    encoding = 'utf-16le';
+    offset = 2;
+  } else if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+    encoding = 'utf-16be';
+    offset = 2;
+  } else {
+    encoding = sniffEncoding(buffer);
+  }
+
+  return { text: new TextDecoder(encoding).decode(buffer.subarray(offset)), encoding };
+}
+
+/**
+ * Parse CSV text into records
+ * @param {string} text - CSV text
+ * @param {Object} options - Options
+ * @param {string} [options.delimiter] - Field delimiter (default: ',')
+ * @returns {Array<string[]>} Records, blank lines skipped
+ */
+export function parseCsv(text, options = {}) {
+  const { delimiter = ',' } = options;
+
+  return parse(text, {
+    delimiter,
+    relax_column_count: true,
+    skip_empty_lines: true
+  });
+}
+
+/**
+ * Check whether a row has at least one non-blank cell
+ * @param {Array<*>} row - Row cells
+ * @returns {boolean} True if any cell has content
+ */
+function hasContent(row) {
+  return row.some(cell => cell !== null && cell !== undefined && String(cell).trim() !== '');
+}
+
+/**
+ * Read a CSV/TXT export as a header row plus data rows
+ * @param {string} filePath - CSV path
+ * @param {Object} options - Options
+ * @param {number} [options.headerRow] - 1-based record that holds the column headers (default: 1)
+ * @param {string} [options.delimiter] - Field delimiter (default: ',')
+ * @returns {{encoding: string, headers: string[], rows: Array<string[]>}} Table
+ */
+export function readCsvTable(filePath, options = {}) {
+  const { headerRow = 1, delimiter } = options;
+  const { text, encoding } = decodeText(readDataFile(filePath));
+  const records = parseCsv(text, { delimiter });
+
+  const headers = (records[headerRow - 1] || []).map(cell => String(cell).trim());
+  const rows = records.slice(headerRow).filter(hasContent);
+
+  return { encoding, headers, rows };
+}
+
+/**
+ * Read one sheet of a workbook as a header row plus data rows
+ * @param {string} filePath - Workbook path
+ * @param {Object} options - Options
+ * @param {string|number} [options.sheet] - Sheet name, or 1-based sheet index (default: first sheet)
+ * @param {number} [options.headerRow] - 1-based row that holds the column headers (default: 1)
+ * @param {boolean} [options.percentCells] - Return percent-formatted number cells on a 0-100 scale (0.95 shown as 95% becomes 95)
+ * @returns {{sheetName: string, headers: string[], rows: Array<Array<*>>}} Table
+ */
+export function readWorkbookTable(filePath, options = {}) {
+  const { sheet, headerRow = 1, percentCells = false } = options;
+  const workbook = XLSX.read(readDataFile(filePath), { type: 'buffer', cellDates: true, cellNF: percentCells });
+
+  let sheetName;
+  if (typeof sheet === 'number') {
+    sheetName = workbook.SheetNames[sheet - 1];
+  } else if (sheet) {
+    sheetName = workbook.SheetNames.find(name => name === sheet);
+  } else {
+    sheetName = workbook.SheetNames[0];
+  }
+
+  if (!sheetName) {
+    throw new Error(`Sheet ${JSON.stringify(sheet)} not found (sheets: ${workbook.SheetNames.join(', ')})`);
+  }
+
+  if (percentCells) {
+    // The number format is the only reliable sign of a percent: 1 may be 1% or 100%
+    for (const [address, cell] of Object.entries(workbook.Sheets[sheetName])) {
+      if (!address.startsWith('!') && cell.t === 'n' && typeof cell.z === 'string' && cell.z.includes('%')) {
+        cell.v = Number((cell.v * 100).toPrecision(12));
+      }
+    }
+  }
+
+  const grid = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], {
+    header: 1,
+    raw: true,
+    defval: null,
+    // Keep blank rows so header_row matches the row number shown in Excel
+    blankrows: true
+  });
+
+  const headers = (grid[headerRow - 1] || []).map(cell => (cell === null ? '' : String(cell).trim()));
+  const rows = grid.slice(headerRow).filter(hasContent);
+
+  return { sheetName, headers, rows };
+}
+
+/**
+ * Read any supported export as a table
+ * @param {string} filePath - File path
+ * @param {Object} options - Options
+ * @param {string|number} [options.sheet] - Workbook sheet (workbooks only)
+ * @param {number} [options.headerRow] - 1-based header row (default: 1)
+ * @param {string} [options.delimiter] - Field delimiter (CSV only)
+ * @param {boolean} [options.percentCells] - Scale percent-formatted cells to 0-100 (workbooks only)
+ * @returns {{format: string, headers: string[], rows: Array<Array<*>>, encoding?: string, sheetName?: string}} Table
+ */
+export function readTable(filePath, options = {}) {
+  if (isWorkbook(filePath)) {
+    return { format: 'workbook', ...readWorkbookTable(filePath, options) };
+  }
+  return { format: 'csv', ...readCsvTable(filePath, options) };
+}
+
+/**
+ * Format one CSV line, quoting fields that need it
+ * @param {Array<*>} values - Field values
+ * @param {string} [delimiter] - Field delimiter (default: ',')
+ * @returns {string} CSV line without a line ending
+ */
+export function formatCsvRow(values, delimiter = ',') {
+  return values
+    .map((value) => {
+      if (value === null || value === undefined) return '';
+      const text = value instanceof Date ? value.toISOString() : String(value);
+      return /[",\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+    })
+    .join(delimiter);
+}
+
+/**
+ * Write a header row plus data rows as a UTF-8 CSV file
+ * @param {string} filePath - Output path
+ * @param {string[]} columns - Header cells
+ * @param {Array<Array<*>>} rows - Row values
+ */
+export function writeCsvFile(filePath, columns, rows) {
+  const lines = [formatCsvRow(columns), ...rows.map(row => formatCsvRow(row))];
+  writeDataFile(filePath, `${lines.join('\n')}\n`);
+}
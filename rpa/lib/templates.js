@@ -0,0 +1,43 @@
+/**
+ * Placeholder templates
+ * Replaces {name} and {dotted.name} placeholders with values, e.g.
+ * renderTemplate('{report}_{from}_{param.office}', values).
+ */
+
+const PLACEHOLDER_PATTERN = /\{([A-Za-z0-9_.-]+)\}/g;
+
+/**
+ * Look up a dotted key in a values object
+ * @param {Object} values - Template values
+ * @param {string} key - Key such as "param.office"
+ * @returns {*} Value or undefined
+ */
+function lookup(values, key) {
+  if (Object.prototype.hasOwnProperty.call(values, key)) {
+    return values[key];
+  }
+  return key.split('.').reduce((current, part) => (current == null ? undefined : current[part]), values);
+}
+
+/**
+ * Render a template
+ * @param {string} template - Template text
+ * @param {Object} values - Template values
+ * @param {Object} options - Options
+ * @param {boolean} options.strict - Throw on unknown placeholders instead of leaving them empty
+ * @returns {string} Rendered text
+ */
+export function renderTemplate(template, values, options = {}) {
+  const { strict = false } = options;
+
+  return String(template).replace(PLACEHOLDER_PATTERN, (match, key) => {
+    const value = lookup(values, key);
+    if (value === undefined || value === null) {
+      if (strict) {
+        throw new Error(`Unknown placeholder ${match} in "${template}"`);
+      }
+      return '';
+    }
+    return Array.isArray(value) ? value.join('+') : String(value);
+  });
+}
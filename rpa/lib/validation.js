@@ -0,0 +1,272 @@
+import path from 'path';
+import { readTable } from './tables.js';
+import { writeDataFile } from './encryption.js';
+import { isBlank, parseDateValue, parseNumberValue } from './values.js';
+
+/**
+ * Post-download validation
+ * Checks required columns (exact header match), minimum record counts and
+ * per-column data quality rules for CSV exports and Excel workbooks, and writes
+ * a <file>.validation.json report with the violations and sample rows.
+ * With `strict: true` in a report's validation rules, a failed check fails the
+ * run instead of only logging a warning.
+ */
+
+const SAMPLE_ROWS = 5;
+
+/**
+ * Check the header row against the required columns
+ * @param {string[]} headers - Header cells
+ * @param {string[]} requiredColumns - Columns that must be present
+ * @param {Object} logger - Logger instance
+ * @returns {string[]} Problems found
+ */
+function checkRequiredColumns(headers, requiredColumns, logger) {
+  const problems = [];
+
+  for (const column of requiredColumns) {
+    if (headers.includes(column)) {
+      logger.info(`Column "${column}" found`);
+      continue;
+    }
+
+    const nearMatch = headers.find(header => header.toLowerCase() === column.toLowerCase());
+    problems.push(
+      nearMatch
+        ? `Expected column "${column}" not found in header (found "${nearMatch}"; names must match exactly)`
+        : `Expected column "${column}" not found in header`
+    );
+  }
+
+  return problems;
+}
+
+/**
+ * Test one non-blank value against a column's type rule
+ * @param {string} type - date, number, integer or string
+ * @param {*} value - Cell value
+ * @returns {boolean} True if the value has the type
+ */
+function matchesType(type, value) {
+  if (type === 'date') return parseDateValue(value) !== null;
+  if (type === 'number') return parseNumberValue(value) !== null;
+  if (type === 'integer') return Number.isInteger(parseNumberValue(value));
+  return true;
+}
+
+/**
+ * Collect rows that break one rule into a violation entry
+ * @param {Object} table - Table from readTable()
+ * @param {string} column - Column name (or key description)
+ * @param {string} rule - Rule name
+ * @param {Array<{index: number, value: *}>} failures - Failing rows
+ * @param {string} message - Summary of the violation
+ * @returns {Object} Violation with sample rows
+ */
+function buildViolation(table, column, rule, failures, message) {
+  return {
+    column,
+    rule,
+    count: failures.length,
+    message,
+    samples: failures.slice(0, SAMPLE_ROWS).map(({ index, value }) => ({
+      record: index + 1,
+      value,
+      row: Object.fromEntries(table.headers.map((header, i) => [header, table.rows[index][i] ?? null]))
+    }))
+  };
+}
+
+/**
+ * Check the per-column rules of validation.columns
+ * @param {Object} table - Table from readTable()
+ * @param {Object<string, Object>} columnRules - Rules by column name
+ * @param {Object} context - Run context
+ * @param {string} [context.fromDate] - Requested start date (YYYY-MM-DD)
+ * @param {string} [context.toDate] - Requested end date (YYYY-MM-DD)
+ * @returns {Array<Object>} Violations
+ */
+function checkColumnRules(table, columnRules, context) {
+  const violations = [];
+  const total = table.rows.length;
+
+  for (const [column, rules] of Object.entries(columnRules)) {
+    const columnIndex = table.headers.indexOf(column);
+    if (columnIndex === -1) {
+      violations.push({ column, rule: 'present', count: 0, message: `Column "${column}" has rules but is not in the header`, samples: [] });
+      continue;
+    }
+
+    const cells = table.rows.map((row, index) => ({ index, value: row[columnIndex] ?? null }));
+    const filled = cells.filter(cell => !isBlank(cell.value));
+
+    if (rules.not_null_percent !== undefined && total > 0) {
+      const blanks = cells.filter(cell => isBlank(cell.value));
+      const percent = (filled.length / total) * 100;
+      if (percent < rules.not_null_percent) {
+        violations.push(buildViolation(table, column, 'not_null_percent', blanks,
+          `Column "${column}" is ${percent.toFixed(1)}% filled, expected at least ${rules.not_null_percent}%`));
+      }
+    }
+
+    if (rules.type) {
+      const failures = filled.filter(cell => !matchesType(rules.type, cell.value));
+      if (failures.length > 0) {
+        violations.push(buildViolation(table, column, 'type', failures,
+          `Column "${column}": ${failures.length} of ${filled.length} values are not of type ${rules.type}`));
+      }
+    }
+
+    if (rules.regex) {
+      const pattern = new RegExp(rules.regex);
+      const failures = filled.filter(cell => !pattern.test(String(cell.value)));
+      if (failures.length > 0) {
+        violations.push(buildViolation(table, column, 'regex', failures,
+          `Column "${column}": ${failures.length} of ${filled.length} values do not match /${rules.regex}/`));
+      }
+    }
+
+    if (rules.allowed_values) {
+      const allowed = rules.allowed_values.map(String);
+      const failures = filled.filter(cell => !allowed.includes(String(cell.value).trim()));
+      if (failures.length > 0) {
+        violations.push(buildViolation(table, column, 'allowed_values', failures,
+          `Column "${column}": ${failures.length} values are not one of ${allowed.join(', ')}`));
+      }
+    }
+
+    if (rules.within_range && context.fromDate && context.toDate) {
+      const failures = filled.filter((cell) => {
+        const date = parseDateValue(cell.value);
+        return date !== null && (date.slice(0, 10) < context.fromDate || date.slice(0, 10) > context.toDate);
+      });
+      if (failures.length > 0) {
+        violations.push(buildViolation(table, column, 'within_range', failures,
+          `Column "${column}": ${failures.length} dates fall outside the requested range ${context.fromDate} to ${context.toDate}`));
+      }
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Check that the unique_key columns identify each row once
+ * @param {Object} table - Table from readTable()
+ * @param {string[]} keyColumns - Key columns
+ * @returns {Array<Object>} Violations (at most one)
+ */
+function checkUniqueKey(table, keyColumns) {
+  const label = keyColumns.join(' + ');
+  const indexes = keyColumns.map(column => table.headers.indexOf(column));
+  const missing = keyColumns.filter((column, i) => indexes[i] === -1);
+  if (missing.length > 0) {
+    return [{ column: label, rule: 'unique_key', count: 0, message: `Key column(s) not in header: ${missing.join(', ')}`, samples: [] }];
+  }
+
+  const seen = new Map();
+  const duplicates = [];
+  table.rows.forEach((row, index) => {
+    const key = JSON.stringify(indexes.map(i => String(row[i] ?? '').trim()));
+    if (seen.has(key)) {
+      duplicates.push({ index, value: indexes.map(i => row[i] ?? null).join(' / ') });
+    } else {
+      seen.set(key, index);
+    }
+  });
+
+  if (duplicates.length === 0) {
+    return [];
+  }
+  return [buildViolation(table, label, 'unique_key', duplicates,
+    `Key ${label}: ${duplicates.length} duplicate rows`)];
+}
+
+/**
+ * Get the validation report path for a downloaded file
+ * @param {string} filePath - Downloaded file path
+ * @returns {string} Path of <name>.validation.json next to the file
+ */
+export function getValidationReportPath(filePath) {
+  const { dir, name } = path.parse(filePath);
+  return path.join(dir, `${name}.validation.json`);
+}
+
+/**
+ * Validate downloaded file content
+ * @param {string} filePath - Path to downloaded file
+ * @param {Object} validationRules - Validation rules
+ * @param {Object} logger - Logger instance
+ * @param {Object} [context] - Run context for range checks and the report file
+ * @param {string} [context.reportName] - Report name
+ * @param {string} [context.fromDate] - Requested start date (YYYY-MM-DD)
+ * @param {string} [context.toDate] - Requested end date (YYYY-MM-DD)
+ * @returns {Promise<{passed: boolean, problems: string[], reportFile: string}>} Validation result
+ */
+export async function validateDownloadedFile(filePath, validationRules, logger, context = {}) {
+  logger.info('Running validation checks...');
+  const problems = [];
+  const violations = [];
+  let rowCount = null;
+
+  try {
+    const table = readTable(filePath, {
+      sheet: validationRules.sheet,
+      headerRow: validationRules.header_row
+    });
+    rowCount = table.rows.length;
+
+    if (table.format === 'workbook') {
+      logger.info(`Workbook sheet "${table.sheetName}": ${table.headers.length} columns, ${table.rows.length} data rows`);
+    } else {
+      logger.info(`CSV (${table.encoding}): ${table.headers.length} columns, ${table.rows.length} records`);
+    }
+
+    if (validationRules.required_columns) {
+      problems.push(...checkRequiredColumns(table.headers, validationRules.required_columns, logger));
+    }
+
+    if (validationRules.min_rows) {
+      if (table.rows.length < validationRules.min_rows) {
+        problems.push(`Expected at least ${validationRules.min_rows} rows, found ${table.rows.length}`);
+      } else {
+        logger.info(`Row count validation passed: ${table.rows.length} rows`);
+      }
+    }
+
+    if (validationRules.columns) {
+      violations.push(...checkColumnRules(table, validationRules.columns, context));
+    }
+    if (validationRules.unique_key) {
+      violations.push(...checkUniqueKey(table, validationRules.unique_key));
+    }
+    problems.push(...violations.map(violation => violation.message));
+  } catch (error) {
+    problems.push(`Could not read file: ${error.message}`);
+  }
+
+  for (const problem of problems) {
+    if (validationRules.strict) {
+      logger.error(`Validation error: ${problem}`);
+    } else {
+      logger.warn(`Validation warning: ${problem}`);
+    }
+  }
+
+  const reportFile = getValidationReportPath(filePath);
+  writeDataFile(reportFile, JSON.stringify({
+    file: filePath,
+    reportName: context.reportName || null,
+    fromDate: context.fromDate || null,
+    toDate: context.toDate || null,
+    checkedAt: new Date().toISOString(),
+    strict: Boolean(validationRules.strict),
+    passed: problems.length === 0,
+    rowCount,
+    problems,
+    violations
+  }, null, 2));
+
+  logger.info(`Validation checks completed (${problems.length} problem(s)), report: ${reportFile}`);
+  return { passed: problems.length === 0, problems, reportFile };
+}
@@ -0,0 +1,121 @@
+/**
+ * Cell value parsing
+ * Interprets the strings (and workbook values) found in exports as dates and
+ * numbers. HHA Exchange exports use US dates (1/31/2024, 01/31/2024 08:00 AM)
+ * as well as ISO dates; workbook cells may already be Date or number values.
+ */
+
+const ISO_DATE = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?$/;
+const US_DATE = /^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})(?:\s+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([AaPp][Mm])?)?$/;
+
+/**
+ * Check whether a cell is empty
+ * @param {*} value - Cell value
+ * @returns {boolean} True for null, undefined and whitespace-only strings
+ */
+export function isBlank(value) {
+  return value === null || value === undefined || String(value).trim() === '';
+}
+
+/**
+ * Zero-pad a number to two digits
+ * @param {number} value - Number
+ * @returns {string} Padded number
+ */
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+/**
+ * Build an ISO date or date-time string from parts, rejecting impossible dates
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @param {number|null} hours - Hours (0-23), or null for a date only
+ * @param {number} minutes - Minutes
+ * @param {number} seconds - Seconds
+ * @returns {string|null} ISO string or null when invalid
+ */
+function buildIso(year, month, day, hours, minutes, seconds) {
+  const check = new Date(Date.UTC(year, month - 1, day));
+  if (check.getUTCFullYear() !== year || check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) {
+    return null;
+  }
+
+  const date = `${year}-${pad(month)}-${pad(day)}`;
+  if (hours === null) {
+    return date;
+  }
+  if (hours > 23 || minutes > 59 || seconds > 59) {
+    return null;
+  }
+  return `${date}T${pad(hours)}:${pad(minutes)}:${pad(seconds)}`;
+}
+
+/**
+ * Parse a date cell
+ * @param {*} value - Cell value (string or Date)
+ * @returns {string|null} YYYY-MM-DD, or YYYY-MM-DDTHH:MM:SS when the cell has a time; null if not a date
+ */
+export function parseDateValue(value) {
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) return null;
+    // Workbook dates carry the wall-clock time shown in Excel in local time
+    const hasTime = value.getHours() || value.getMinutes() || value.getSeconds();
+    return buildIso(
+      value.getFullYear(),
+      value.getMonth() + 1,
+      value.getDate(),
+      hasTime ? value.getHours() : null,
+      value.getMinutes(),
+      value.getSeconds()
+    );
+  }
+
+  const text = String(value).trim();
+
+  let match = text.match(ISO_DATE);
+  if (match) {
+    const [, year, month, day, hours, minutes, seconds] = match;
+    return buildIso(Number(year), Number(month), Number(day),
+      hours === undefined ? null : Number(hours), Number(minutes || 0), Number(seconds || 0));
+  }
+
+  match = text.match(US_DATE);
+  if (match) {
+    const [, month, day, rawYear, rawHours, minutes, seconds, meridiem] = match;
+    const year = rawYear.length === 2 ? 2000 + Number(rawYear) : Number(rawYear);
+    let hours = rawHours === undefined ? null : Number(rawHours);
+    if (hours !== null && meridiem) {
+      if (hours < 1 || hours > 12) return null;
+      hours = (hours % 12) + (meridiem.toLowerCase() === 'pm' ? 12 : 0);
+    }
+    return buildIso(year, Number(month), Number(day), hours, Number(minutes || 0), Number(seconds || 0));
+  }
+
+  return null;
+}
+
+/**
+ * Parse a numeric cell, accepting thousands separators, a leading $ and (negative) amounts
+ * @param {*} value - Cell value
+ * @returns {number|null} Number, or null if not numeric
+ */
+export function parseNumberValue(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+
+  let text = String(value).trim();
+  let sign = 1;
+  if (/^\(.*\)$/.test(text)) {
+    sign = -1;
+    text = text.slice(1, -1).trim();
+  }
+  text = text.replace(/^\$/, '').replace(/,(?=\d{3}(\D|$))/g, '');
+
+  if (!/^[+-]?(\d+(\.\d*)?|\.\d+)$/.test(text)) {
+    return null;
+  }
+  return sign * Number(text);
+}
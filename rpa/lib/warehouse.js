@@ -0,0 +1,187 @@
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { readReportRecords } from './normalize.js';
+
+/**
+ * Local SQLite warehouse
+ * Reports with a `warehouse:` block are upserted into one table per report,
+ * keyed by the configured primary key columns. Rows come from the report's
+ * normalized output mapping when it has one, otherwise from the raw header
+ * names. Every row also records when it was downloaded and the range and
+ * file it came from.
+ */
+
+const DEFAULT_WAREHOUSE_PATH = path.join('warehouse', 'warehouse.db');
+const SQL_TYPES = { integer: 'INTEGER', number: 'REAL', boolean: 'INTEGER' };
+const SOURCE_COLUMNS = {
+  downloaded_at: 'TEXT',
+  source_from: 'TEXT',
+  source_to: 'TEXT',
+  source_file: 'TEXT'
+};
+
+/**
+ * Get the warehouse database path
+ * @param {Object} config - Full configuration
+ * @returns {string} Absolute database path
+ */
+export function getWarehousePath(config) {
+  return path.resolve(process.cwd(), config.global?.warehouse_path || DEFAULT_WAREHOUSE_PATH);
+}
+
+/**
+ * Open the warehouse database, creating it if needed
+ * @param {string} dbPath - Database path
+ * @param {Object} options - Options
+ * @param {boolean} [options.readonly] - Open read-only (the file must exist)
+ * @returns {import('better-sqlite3').Database} Database handle
+ */
+export function openWarehouse(dbPath, options = {}) {
+  const { readonly = false } = options;
+
+  if (readonly) {
+    if (!fs.existsSync(dbPath)) {
+      throw new Error(`Warehouse database not found: ${dbPath}`);
+    }
+    return new Database(dbPath, { readonly: true, fileMustExist: true });
+  }
+
+  fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  const db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+  return db;
+}
+
+/**
+ * Quote an SQL identifier
+ * @param {string} name - Table or column name
+ * @returns {string} Quoted identifier
+ */
+function quoteIdentifier(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+/**
+ * Get the SQL type of each loaded column
+ * @param {string[]} columns - Column names
+ * @param {Object} reportDef - Report definition
+ * @returns {Object<string, string>} SQL type per column
+ */
+function getColumnTypes(columns, reportDef) {
+  return Object.fromEntries(columns.map((column) => {
+    const definition = reportDef.output?.columns?.[column];
+    const type = definition && typeof definition === 'object' ? definition.type : null;
+    return [column, SQL_TYPES[type] || 'TEXT'];
+  }));
+}
+
+/**
+ * Create the report table, or add columns that appeared since it was created
+ * @param {import('better-sqlite3').Database} db - Database handle
+ * @param {string} tableName - Table name
+ * @param {Object<string, string>} columns - SQL type per column
+ * @param {string[]} primaryKey - Primary key columns
+ * @param {Object} logger - Logger instance
+ */
+function ensureTable(db, tableName, columns, primaryKey, logger) {
+  const existing = db.prepare(`PRAGMA table_info(${quoteIdentifier(tableName)})`).all();
+
+  if (existing.length === 0) {
+    const definitions = Object.entries(columns).map(([column, type]) => `${quoteIdentifier(column)} ${type}`);
+    db.exec(
+      `CREATE TABLE ${quoteIdentifier(tableName)} (${definitions.join(', ')}, ` +
+      `PRIMARY KEY (${primaryKey.map(quoteIdentifier).join(', ')}))`
+    );
+    logger.info(`Created warehouse table "${tableName}"`);
+    return;
+  }
+
+  const known = new Set(existing.map(column => column.name));
+  for (const [column, type] of Object.entries(columns)) {
+    if (!known.has(column)) {
+      db.exec(`ALTER TABLE ${quoteIdentifier(tableName)} ADD COLUMN ${quoteIdentifier(column)} ${type}`);
+      logger.info(`Added column "${column}" to warehouse table "${tableName}"`);
+    }
+  }
+}
+
+/**
+ * Convert a value to something SQLite can bind
+ * @param {*} value - Row value
+ * @returns {string|number|null} Bindable value
+ */
+function toSqlValue(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (value instanceof Date) return value.toISOString();
+  return typeof value === 'number' ? value : String(value);
+}
+
+/**
+ * Upsert a downloaded report into its warehouse table
+ * @param {Object} config - Full configuration
+ * @param {Object} reportDef - Report definition (with a warehouse block)
+ * @param {string} filePath - Downloaded file
+ * @param {Object} source - Where the rows came from
+ * @param {string} source.reportName - Report name
+ * @param {string} source.fromDate - Requested start date
+ * @param {string} source.toDate - Requested end date
+ * @param {Object} logger - Logger instance
+ * @returns {{table: string, upserted: number, skipped: number}} Load counts
+ */
+export function loadIntoWarehouse(config, reportDef, filePath, source, logger) {
+  const tableName = reportDef.warehouse.table || source.reportName;
+  const primaryKey = reportDef.warehouse.primary_key;
+  const { columns: names, records } = readReportRecords(filePath, reportDef);
+  const columns = getColumnTypes(names, reportDef);
+
+  const missingKeys = primaryKey.filter(column => !columns[column]);
+  if (missingKeys.length > 0) {
+    throw new Error(`Primary key column(s) not in loaded rows: ${missingKeys.join(', ')}`);
+  }
+
+  const allColumns = { ...columns, ...SOURCE_COLUMNS };
+  const insertColumns = Object.keys(allColumns);
+  const sourceValues = {
+    downloaded_at: new Date().toISOString(),
+    source_from: source.fromDate,
+    source_to: source.toDate,
+    source_file: path.basename(filePath)
+  };
+
+  const db = openWarehouse(getWarehousePath(config));
+  try {
+    ensureTable(db, tableName, allColumns, primaryKey, logger);
+
+    const updates = insertColumns.filter(name => !primaryKey.includes(name))
+      .map(name => `${quoteIdentifier(name)} = excluded.${quoteIdentifier(name)}`);
+    const statement = db.prepare(
+      `INSERT INTO ${quoteIdentifier(tableName)} (${insertColumns.map(quoteIdentifier).join(', ')}) ` +
+      `VALUES (${insertColumns.map(() => '?').join(', ')}) ` +
+      `ON CONFLICT (${primaryKey.map(quoteIdentifier).join(', ')}) DO UPDATE SET ${updates.join(', ')}`
+    );
+
+    let upserted = 0;
+    let skipped = 0;
+    db.transaction(() => {
+      for (const record of records) {
+        if (primaryKey.some(column => record[column] === null || record[column] === undefined || record[column] === '')) {
+          skipped++;
+          continue;
+        }
+        const row = { ...record, ...sourceValues };
+        statement.run(insertColumns.map(name => toSqlValue(row[name])));
+        upserted++;
+      }
+    })();
+
+    if (skipped > 0) {
+      logger.warn(`Skipped ${skipped} rows with an empty primary key`);
+    }
+    logger.info(`Warehouse: upserted ${upserted} rows into "${tableName}"`);
+    return { table: tableName, upserted, skipped };
+  } finally {
+    db.close();
+  }
+}
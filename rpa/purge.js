@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+
+import dotenv from 'dotenv';
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import path from 'path';
+import { createLogger } from './lib/logger.js';
+import { loadReportConfig } from './lib/reports.js';
+import { validateConfigFile, formatConfigProblems } from './lib/config-schema.js';
+import { runPurge } from './lib/retention.js';
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Parse command line arguments
+ */
+const argv = yargs(hideBin(process.argv))
+  .usage('Usage: $0 [options]')
+  .option('config', {
+    alias: 'c',
+    type: 'string',
+    description: 'Path to config.yaml (for the retention policies)',
+    default: './rpa/config.yaml'
+  })
+  .option('dry-run', {
+    type: 'boolean',
+    description: 'List what would be deleted without deleting anything',
+    default: false
+  })
+  .example('$0 --dry-run', 'Show what the retention policies would delete')
+  .example('$0', 'Delete downloads, logs, screenshots, archive versions and decrypted copies past retention')
+  .help('h')
+  .alias('h', 'help')
+  .parseSync();
+
+/**
+ * Apply the retention policies
+ * @returns {number} Exit code
+ */
+function main() {
+  const sessionId = `purge-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+  const logger = createLogger(sessionId);
+  const configPath = path.resolve(argv.config);
+  const config = loadReportConfig(configPath, logger);
+  const configProblems = validateConfigFile(configPath);
+  if (configProblems.length > 0) {
+    formatConfigProblems(configPath, configProblems).forEach(line => logger.error(line));
+    throw new Error(`Configuration has ${configProblems.length} problem(s)`);
+  }
+
+  const { failed } = runPurge(config, { dryRun: argv.dryRun }, logger);
+  return failed > 0 ? 1 : 0;
+}
+
+try {
+  process.exitCode = main();
+} catch (error) {
+  console.error(`Purge failed: ${error.message}`);
+  process.exitCode = 1;
+}
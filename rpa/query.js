@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import fs from 'fs';
+import yaml from 'js-yaml';
+import { getWarehousePath, openWarehouse } from './lib/warehouse.js';
+import { formatCsvRow } from './lib/tables.js';
+
+/**
+ * Parse command line arguments
+ */
+const argv = yargs(hideBin(process.argv))
+  .usage('Usage: $0 [options] "<sql>"')
+  .option('config', {
+    alias: 'c',
+    type: 'string',
+    description: 'Path to config.yaml (for global.warehouse_path)',
+    default: './rpa/config.yaml'
+  })
+  .option('db', {
+    type: 'string',
+    description: 'Warehouse database path (overrides the config)'
+  })
+  .option('format', {
+    type: 'string',
+    choices: ['table', 'csv', 'json'],
+    description: 'Output format',
+    default: 'table'
+  })
+  .option('tables', {
+    type: 'boolean',
+    description: 'List warehouse tables and row counts',
+    default: false
+  })
+  .example('$0 --tables', 'Show which reports have been loaded')
+  .example('$0 "SELECT aide_name, SUM(hours_confirmed) FROM visits_confirmed_hours GROUP BY aide_name"', 'Hours per aide')
+  .example('$0 --format csv "SELECT * FROM visits_confirmed_hours" > visits.csv', 'Export a table as CSV')
+  .check((args) => {
+    if (!args.tables && args._.length === 0) {
+      throw new Error('An SQL statement or --tables is required');
+    }
+    return true;
+  })
+  .help('h')
+  .alias('h', 'help')
+  .parseSync();
+
+/**
+ * Print result rows in the requested format
+ * @param {Array<Object>} rows - Result rows
+ * @param {string} format - table, csv or json
+ */
+function printRows(rows, format) {
+  if (format === 'json') {
+    console.log(JSON.stringify(rows, null, 2));
+    return;
+  }
+
+  if (format === 'csv') {
+    const columns = rows.length > 0 ? Object.keys(rows[0]) : [];
+    console.log(formatCsvRow(columns));
+    rows.forEach(row => console.log(formatCsvRow(columns.map(column => row[column]))));
+    return;
+  }
+
+  if (rows.length === 0) {
+    console.log('(no rows)');
+  } else {
+    console.table(rows);
+  }
+}
+
+/**
+ * Run the query against the warehouse (read-only)
+ */
+function main() {
+  let dbPath = argv.db;
+  if (!dbPath) {
+    const config = fs.existsSync(argv.config) ? yaml.load(fs.readFileSync(argv.config, 'utf8')) : {};
+    dbPath = getWarehousePath(config || {});
+  }
+
+  const db = openWarehouse(dbPath, { readonly: true });
+  try {
+    if (argv.tables) {
+      const tables = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY name").all();
+      printRows(
+        tables.map(({ name }) => ({
+          table: name,
+          rows: db.prepare(`SELECT COUNT(*) AS count FROM "${name.replace(/"/g, '""')}"`).get().count
+        })),
+        argv.format
+      );
+      return 0;
+    }
+
+    const statement = db.prepare(argv._.join(' '));
+    printRows(statement.reader ? statement.all() : [statement.run()], argv.format);
+    return 0;
+  } finally {
+    db.close();
+  }
+}
+
+try {
+  process.exit(main());
+} catch (error) {
+  console.error(`Query failed: ${error.message}`);
+  process.exit(1);
+}
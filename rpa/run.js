@@ -7,8 +7,13 @@ import { hideBin } from 'yargs/helpers';
 import path from 'path';
 import { createLogger } from './lib/logger.js';
 import { login } from './lib/login.js';
-import { setupDownloadDirectory } from './lib/downloads.js';
-import { loadReportConfig, runReport } from './lib/reports.js';
+import { setupDownloadDirectory, writeRunManifest } from './lib/downloads.js';
+import { loadReportConfig, resolveReportNames, runReportBatch } from './lib/reports.js';
+import { validateDate, isValidPeriod, listPeriods, todayInTimezone } from './lib/periods.js';
+import { validateConfigFile, formatConfigProblems } from './lib/config-schema.js';
+import { parseParamArgs, assertKnownParameters, formatParameterTag } from './lib/parameters.js';
+import { runReconciliations } from './lib/reconcile.js';
+import { configureEncryption } from './lib/encryption.js';
 
 // Load environment variables
 dotenv.config();
@@ -17,24 +22,35 @@ dotenv.config();
  * Parse command line arguments
  */
 const argv = yargs(hideBin(process.argv))
-  .usage('Usage: $0 --report <name> --from <date> --to <date> [options]')
+  .usage('Usage: $0 (--report <name> | --reports <a,b,c> | --all) [--from <date> --to <date> | --period <name>] [options]')
   .option('report', {
     alias: 'r',
     type: 'string',
-    description: 'Report name (must match config.yaml)',
-    demandOption: true
+    description: 'Report name (must match config.yaml)'
+  })
+  .option('reports', {
+    type: 'string',
+    description: 'Comma-separated report names to run in one session'
+  })
+  .option('all', {
+    type: 'boolean',
+    description: 'Run every report defined in config.yaml',
+    default: false
   })
   .option('from', {
     alias: 'f',
     type: 'string',
-    description: 'Start date (YYYY-MM-DD)',
-    demandOption: true
+    description: 'Start date (YYYY-MM-DD)'
   })
   .option('to', {
     alias: 't',
     type: 'string',
-    description: 'End date (YYYY-MM-DD)',
-    demandOption: true
+    description: 'End date (YYYY-MM-DD)'
+  })
+  .option('period', {
+    alias: 'p',
+    type: 'string',
+    description: `Named date period in global.timezone (${listPeriods().join(', ')})`
   })
   .option('config', {
     alias: 'c',
@@ -52,6 +68,25 @@ const argv = yargs(hideBin(process.argv))
     description: 'Force re-download even if file exists',
     default: false
   })
+  .option('param', {
+    type: 'string',
+    array: true,
+    description: 'Report parameter as name=value (repeatable, e.g. --param office=AHS-Albany)'
+  })
+  .option('as-of', {
+    type: 'string',
+    description: 'Resolve --period as if it were this date/time (ISO 8601)'
+  })
+  .option('session-id', {
+    type: 'string',
+    description: 'Session ID to use instead of a generated one',
+    hidden: true
+  })
+  .option('validate-config', {
+    type: 'boolean',
+    description: 'Check config.yaml against the schema and exit (no browser)',
+    default: false
+  })
   .option('slow-mo', {
     type: 'number',
     description: 'Slow down operations by N milliseconds',
@@ -60,25 +95,34 @@ const argv = yargs(hideBin(process.argv))
   .example('$0 --report active_patients_auth --from 2024-01-01 --to 2024-01-31', 'Download report for January 2024')
   .example('$0 --report visits_confirmed_hours --from 2024-01-01 --to 2024-01-31 --headful', 'Download with visible browser')
   .example('$0 --report aide_roster_compliance --from 2024-01-01 --to 2024-01-31 --force', 'Force re-download')
+  .example('$0 --reports active_patients_auth,visits_confirmed_hours --from 2024-01-01 --to 2024-01-31', 'Run two reports in one login session')
+  .example('$0 --all --from 2024-01-01 --to 2024-01-31', 'Run every configured report')
+  .example('$0 --report visits_confirmed_hours --period yesterday', 'Download yesterday\'s visits')
+  .example('$0 --all', 'Run every report for its configured default_period')
+  .example('$0 --report visits_confirmed_hours --period last-week --param office=AHS-Albany', 'Filter a report by office')
+  .example('$0 --validate-config', 'Check config.yaml for mistakes without logging in')
+  .check((args) => {
+    if (args.validateConfig) {
+      return true;
+    }
+    if (!args.report && !args.reports && !args.all) {
+      throw new Error('One of --report, --reports or --all is required');
+    }
+    if (Boolean(args.from) !== Boolean(args.to)) {
+      throw new Error('--from and --to must be used together');
+    }
+    if (args.period && args.from) {
+      throw new Error('Use either --from/--to or --period, not both');
+    }
+    if (args.asOf && isNaN(new Date(args.asOf))) {
+      throw new Error(`Invalid --as-of value: ${args.asOf}`);
+    }
+    return true;
+  })
   .help('h')
   .alias('h', 'help')
   .parseSync();
 
-/**
- * Validate date format
- * @param {string} dateStr - Date string to validate
- * @returns {boolean} True if valid
- */
-function validateDate(dateStr) {
-  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-  if (!dateRegex.test(dateStr)) {
-    return false;
-  }
-
-  const date = new Date(dateStr);
-  return date instanceof Date && !isNaN(date);
-}
-
 /**
  * Get credentials from environment
  * @returns {Object} Credentials object
@@ -97,11 +141,36 @@ function getCredentials() {
   return { username, password };
 }
 
+/**
+ * Validate config.yaml and print every problem (--validate-config mode)
+ * @returns {number} Exit code
+ */
+function runConfigValidation() {
+  const configPath = path.resolve(argv.config);
+  const problems = validateConfigFile(configPath);
+
+  if (problems.length === 0) {
+    console.log(`${configPath}: OK`);
+    return 0;
+  }
+
+  for (const line of formatConfigProblems(configPath, problems)) {
+    console.error(line);
+  }
+  console.error(`${problems.length} problem(s) found`);
+  return 1;
+}
+
 /**
  * Main execution function
  */
 async function main() {
-  const sessionId = new Date().toISOString().replace(/[:.]/g, '-');
+  if (argv.validateConfig) {
+    process.exit(runConfigValidation());
+  }
+
+  const startedAt = new Date().toISOString();
+  const sessionId = argv.sessionId || startedAt.replace(/[:.]/g, '-');
   const logger = createLogger(sessionId);
 
   let browser = null;
@@ -111,23 +180,29 @@ async function main() {
     // Validate inputs
     logger.info('Validating inputs...');
 
-    if (!validateDate(argv.from)) {
-      throw new Error(`Invalid from date: ${argv.from}. Expected format: YYYY-MM-DD`);
-    }
+    if (argv.from) {
+      if (!validateDate(argv.from)) {
+        throw new Error(`Invalid from date: ${argv.from}. Expected format: YYYY-MM-DD`);
+      }
 
-    if (!validateDate(argv.to)) {
-      throw new Error(`Invalid to date: ${argv.to}. Expected format: YYYY-MM-DD`);
-    }
+      if (!validateDate(argv.to)) {
+        throw new Error(`Invalid to date: ${argv.to}. Expected format: YYYY-MM-DD`);
+      }
 
-    const fromDate = new Date(argv.from);
-    const toDate = new Date(argv.to);
+      if (argv.from > argv.to) {
+        throw new Error('From date must be before or equal to To date');
+      }
 
-    if (fromDate > toDate) {
-      throw new Error('From date must be before or equal to To date');
-    }
+      logger.info(`Date range: ${argv.from} to ${argv.to}`);
+    } else if (argv.period) {
+      if (!isValidPeriod(argv.period)) {
+        throw new Error(`Unknown period: ${argv.period}. Supported: ${listPeriods().join(', ')}`);
+      }
 
-    logger.info(`Report: ${argv.report}`);
-    logger.info(`Date range: ${argv.from} to ${argv.to}`);
+      logger.info(`Period: ${argv.period}${argv.asOf ? ` (as of ${argv.asOf})` : ''}`);
+    } else {
+      logger.info('Date range: each report\'s default_period');
+    }
     logger.info(`Headful mode: ${argv.headful}`);
     logger.info(`Force re-download: ${argv.force}`);
 
@@ -140,6 +215,25 @@ async function main() {
     logger.info('Loading report configuration...');
     const configPath = path.resolve(argv.config);
     const config = loadReportConfig(configPath, logger);
+    const configProblems = validateConfigFile(configPath);
+    if (configProblems.length > 0) {
+      formatConfigProblems(configPath, configProblems).forEach(line => logger.error(line));
+      throw new Error(`Configuration has ${configProblems.length} problem(s); run with --validate-config for details`);
+    }
+    configureEncryption(config.global?.encryption, logger);
+    const reportNames = resolveReportNames(config, {
+      report: argv.report,
+      reports: argv.reports,
+      all: argv.all
+    });
+    logger.info(`Reports: ${reportNames.join(', ')}`);
+
+    const parameterOverrides = parseParamArgs(argv.param);
+    assertKnownParameters(config, reportNames, parameterOverrides);
+    if (Object.keys(parameterOverrides).length > 0) {
+      logger.info(`Parameter overrides: ${JSON.stringify(parameterOverrides)}`);
+    }
+    logger.info(`Agency timezone: ${config.global?.timezone || 'host default'} (today is ${todayInTimezone(config.global?.timezone)})`);
 
     // Setup download directory
     const downloadPath = setupDownloadDirectory(sessionId);
@@ -182,15 +276,18 @@ async function main() {
       throw new Error('Login failed');
     }
 
-    // Run report download
-    logger.info('Starting report download...');
-    const downloadedFile = await runReport(
+    // Run report downloads (all reports share this login session)
+    logger.info(`Starting ${reportNames.length} report download(s)...`);
+    const results = await runReportBatch(
       page,
       config,
+      reportNames,
       {
-        reportName: argv.report,
         fromDate: argv.from,
         toDate: argv.to,
+        period: argv.period,
+        asOf: argv.asOf,
+        parameters: parameterOverrides,
         downloadPath
       },
       credentials,
@@ -202,15 +299,52 @@ async function main() {
       }
     );
 
-    logger.info('');
-    logger.info('='.repeat(60));
-    logger.info('SUCCESS!');
-    logger.info('='.repeat(60));
-    logger.info(`Report: ${argv.report}`);
-    logger.info(`Date range: ${argv.from} to ${argv.to}`);
-    logger.info(`Downloaded file: ${downloadedFile}`);
-    logger.info(`Session ID: ${sessionId}`);
-    logger.info('='.repeat(60));
+    const reconciliations = runReconciliations(config, results, downloadPath, logger);
+
+    writeRunManifest(downloadPath, {
+      sessionId,
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      results,
+      reconciliations
+    }, logger);
+
+    const failed = results.filter(result => !result.success);
+    const logSummary = failed.length === 0 ? logger.info.bind(logger) : logger.error.bind(logger);
+
+    logSummary('');
+    logSummary('='.repeat(60));
+    logSummary(failed.length === 0
+      ? 'SUCCESS!'
+      : `COMPLETED WITH FAILURES (${failed.length}/${results.length} failed)`);
+    logSummary('='.repeat(60));
+    for (const result of results) {
+      const seconds = (result.durationMs / 1000).toFixed(1);
+      const tag = formatParameterTag(result.parameters);
+      const range = (result.fromDate ? `${result.fromDate} to ${result.toDate}` : 'no date range') + (tag ? ` ${tag}` : '');
+      if (result.success) {
+        logSummary(`  [OK]   ${result.reportName} [${range}] (${seconds}s): ${result.file}`);
+      } else {
+        logSummary(`  [FAIL] ${result.reportName} [${range}] (${seconds}s): ${result.error}`);
+      }
+      if (result.warehouseError) {
+        logSummary(`         warehouse load failed: ${result.warehouseError}`);
+      }
+      for (const delivery of result.deliveries.filter(entry => !entry.success)) {
+        logSummary(`         delivery ${delivery.target} failed (will retry): ${delivery.error}`);
+      }
+    }
+    for (const reconciliation of reconciliations) {
+      logSummary(reconciliation.success
+        ? `  [RECON] ${reconciliation.name}: ${reconciliation.count} discrepancies: ${reconciliation.file}`
+        : `  [RECON] ${reconciliation.name}: failed: ${reconciliation.error}`);
+    }
+    logSummary(`Session ID: ${sessionId}`);
+    logSummary('='.repeat(60));
+
+    if (failed.length > 0) {
+      exitCode = 1;
+    }
 
   } catch (error) {
     logger.error('');
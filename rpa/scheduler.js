@@ -0,0 +1,338 @@
+#!/usr/bin/env node
+
+import dotenv from 'dotenv';
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import path from 'path';
+import fs from 'fs';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { createLogger } from './lib/logger.js';
+import { loadReportConfig } from './lib/reports.js';
+import { readRunManifest } from './lib/downloads.js';
+import { validateConfigFile, formatConfigProblems } from './lib/config-schema.js';
+import { runPurge } from './lib/retention.js';
+import { configureEncryption } from './lib/encryption.js';
+import { retryFailedDeliveries } from './lib/delivery.js';
+import {
+  getScheduleJobs,
+  getDueRuns,
+  getNextRun,
+  loadSchedulerState,
+  saveSchedulerState,
+  appendRunHistory,
+  readRunHistory,
+  acquireSchedulerLock,
+  releaseSchedulerLock
+} from './lib/scheduler.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Parse command line arguments
+ */
+const argv = yargs(hideBin(process.argv))
+  .usage('Usage: $0 [options]')
+  .option('config', {
+    alias: 'c',
+    type: 'string',
+    description: 'Path to config.yaml',
+    default: './rpa/config.yaml'
+  })
+  .option('once', {
+    type: 'boolean',
+    description: 'Run jobs that are due now, then exit',
+    default: false
+  })
+  .option('poll-interval', {
+    type: 'number',
+    description: 'Seconds between schedule checks',
+    default: 30
+  })
+  .option('history', {
+    type: 'number',
+    description: 'Print the last N run history records and exit'
+  })
+  .example('$0', 'Start the scheduler daemon')
+  .example('$0 --once', 'Run due jobs (including missed runs) and exit')
+  .example('$0 --history 20', 'Show the last 20 scheduled runs')
+  .help('h')
+  .alias('h', 'help')
+  .parseSync();
+
+let stopping = false;
+let activeChild = null;
+
+/**
+ * Run one scheduled job occurrence as a child run.js process
+ * @param {Object} job - Job definition
+ * @param {Date} scheduledFor - Fire time this run belongs to
+ * @param {string} configPath - Absolute config path
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<Object>} History record
+ */
+async function runJob(job, scheduledFor, configPath, logger) {
+  const startedAt = new Date();
+  const sessionId = `${startedAt.toISOString().replace(/[:.]/g, '-')}_${job.name}`;
+  const args = [
+    path.join(__dirname, 'run.js'),
+    '--reports', job.reports.join(','),
+    '--config', configPath,
+    '--session-id', sessionId,
+    // Periods resolve against the fire time, so a caught-up run gets the range it would have had
+    '--as-of', scheduledFor.toISOString()
+  ];
+  if (job.period) {
+    args.push('--period', job.period);
+  }
+  for (const [name, value] of Object.entries(job.params)) {
+    args.push('--param', `${name}=${Array.isArray(value) ? value.join(',') : value}`);
+  }
+
+  logger.info(`Starting job "${job.name}" scheduled for ${scheduledFor.toISOString()} (session ${sessionId})`);
+
+  const exitCode = await new Promise((resolve) => {
+    activeChild = spawn(process.execPath, args, { stdio: 'inherit', env: process.env });
+    activeChild.on('error', (error) => {
+      logger.error(`Failed to start run for job "${job.name}": ${error.message}`);
+      resolve(1);
+    });
+    activeChild.on('exit', (code, signal) => resolve(code ?? (signal ? 1 : 0)));
+  });
+  activeChild = null;
+
+  const manifest = readRunManifest(path.join(process.cwd(), 'downloads', sessionId));
+  const results = manifest ? manifest.results : [];
+  const delivered = job.deliverTo ? deliverResults(results, job.deliverTo, logger) : [];
+
+  const record = {
+    job: job.name,
+    scheduledFor: scheduledFor.toISOString(),
+    startedAt: startedAt.toISOString(),
+    finishedAt: new Date().toISOString(),
+    sessionId,
+    exitCode,
+    success: exitCode === 0,
+    reports: results.map(result => ({
+      reportName: result.reportName,
+      fromDate: result.fromDate,
+      toDate: result.toDate,
+      parameters: result.parameters,
+      success: result.success,
+      file: result.file,
+      error: result.error
+    })),
+    delivered
+  };
+
+  appendRunHistory(record);
+  logger.info(`Job "${job.name}" finished with exit code ${exitCode}`);
+  return record;
+}
+
+/**
+ * Copy successful report files to a job's delivery folder
+ * @param {Array<Object>} results - Per-report results from the run manifest
+ * @param {string} deliverTo - Target directory
+ * @param {Object} logger - Logger instance
+ * @returns {Array<Object>} Delivery results
+ */
+function deliverResults(results, deliverTo, logger) {
+  const delivered = [];
+
+  for (const result of results.filter(entry => entry.success && entry.file)) {
+    try {
+      fs.mkdirSync(deliverTo, { recursive: true });
+      const target = path.join(deliverTo, path.basename(result.file));
+      fs.copyFileSync(result.file, target);
+      logger.info(`Delivered ${result.reportName} to ${target}`);
+      delivered.push({ reportName: result.reportName, target, success: true });
+    } catch (error) {
+      logger.error(`Delivery of ${result.reportName} to ${deliverTo} failed: ${error.message}`);
+      delivered.push({ reportName: result.reportName, target: deliverTo, success: false, error: error.message });
+    }
+  }
+
+  return delivered;
+}
+
+/**
+ * Work out whether the retention purge (retention.cron) is due; missed
+ * purges collapse into one
+ * @param {Object} config - Full configuration
+ * @param {Object} state - Scheduler state (updated when the purge is first seen)
+ * @param {Date} now - Reference instant
+ * @param {Object} logger - Logger instance
+ * @returns {Date|null} Latest due fire time, or null
+ */
+function getDuePurge(config, state, now, logger) {
+  const cron = config.retention?.cron;
+  if (!cron) {
+    return null;
+  }
+
+  const timezone = config.global?.timezone;
+  if (!state.purge) {
+    state.purge = { lastScheduledFor: now.toISOString() };
+    logger.info(`Retention purge registered, next run at ${getNextRun(cron, now, timezone).toISOString()}`);
+    return null;
+  }
+
+  const due = getDueRuns(cron, new Date(state.purge.lastScheduledFor), now, timezone);
+  return due.length > 0 ? due[due.length - 1] : null;
+}
+
+/**
+ * Check all jobs and run every due occurrence, one at a time
+ * @param {Array<Object>} jobs - Job definitions
+ * @param {Object} config - Full configuration
+ * @param {string} configPath - Absolute config path
+ * @param {Object} logger - Logger instance
+ */
+async function tick(jobs, config, configPath, logger) {
+  const timezone = config.global?.timezone;
+  const now = new Date();
+  const state = loadSchedulerState();
+  const pending = [];
+
+  for (const job of jobs.filter(entry => entry.enabled)) {
+    const jobState = state.jobs[job.name];
+
+    // First time we see a job: start counting from now rather than replaying history
+    if (!jobState) {
+      state.jobs[job.name] = { lastScheduledFor: now.toISOString() };
+      logger.info(`Job "${job.name}" registered, next run at ${getNextRun(job.cron, now, timezone).toISOString()}`);
+      continue;
+    }
+
+    let due = getDueRuns(job.cron, new Date(jobState.lastScheduledFor), now, timezone);
+    if (due.length === 0) {
+      continue;
+    }
+
+    const limit = job.catchUp ? Math.max(job.maxCatchUp, 1) : 1;
+    if (due.length > limit) {
+      const skipped = due.slice(0, due.length - limit);
+      logger.warn(
+        `Job "${job.name}" missed ${due.length} runs; skipping ${skipped.length} oldest ` +
+        `(${skipped[0].toISOString()} to ${skipped[skipped.length - 1].toISOString()})`
+      );
+      due = due.slice(-limit);
+    }
+    if (due.length > 1) {
+      logger.info(`Job "${job.name}" catching up ${due.length} missed runs`);
+    }
+
+    for (const scheduledFor of due) {
+      pending.push({ job, scheduledFor });
+    }
+  }
+
+  const purgeDue = getDuePurge(config, state, now, logger);
+
+  saveSchedulerState(state);
+  pending.sort((a, b) => a.scheduledFor - b.scheduledFor);
+
+  for (const { job, scheduledFor } of pending) {
+    if (stopping) break;
+
+    await runJob(job, scheduledFor, configPath, logger);
+
+    // Record progress after every run so a crash never repeats finished work
+    const latest = loadSchedulerState();
+    latest.jobs[job.name] = { lastScheduledFor: scheduledFor.toISOString() };
+    saveSchedulerState(latest);
+  }
+
+  // Purge after the jobs, so it never deletes a session a job is still writing
+  if (purgeDue && !stopping) {
+    logger.info(`Running retention purge scheduled for ${purgeDue.toISOString()}`);
+    try {
+      runPurge(config, { dryRun: false }, logger);
+    } catch (error) {
+      logger.error(`Retention purge failed: ${error.message}`);
+    }
+
+    const latest = loadSchedulerState();
+    latest.purge = { lastScheduledFor: purgeDue.toISOString() };
+    saveSchedulerState(latest);
+  }
+
+  // Failed report deliveries are retried from the stored files once their backoff has passed
+  if (!stopping) {
+    try {
+      await retryFailedDeliveries(config, { dueOnly: true }, logger);
+    } catch (error) {
+      logger.error(`Delivery retry failed: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Main scheduler loop
+ */
+async function main() {
+  if (argv.history !== undefined) {
+    for (const record of readRunHistory({ limit: argv.history })) {
+      const status = record.success ? 'OK  ' : 'FAIL';
+      console.log(`${status} ${record.scheduledFor} ${record.job} [${record.reports.map(r => r.reportName).join(', ')}] session=${record.sessionId}`);
+    }
+    return 0;
+  }
+
+  const sessionId = `scheduler-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+  const logger = createLogger(sessionId);
+  const configPath = path.resolve(argv.config);
+  const config = loadReportConfig(configPath, logger);
+  const configProblems = validateConfigFile(configPath);
+  if (configProblems.length > 0) {
+    formatConfigProblems(configPath, configProblems).forEach(line => logger.error(line));
+    throw new Error(`Configuration has ${configProblems.length} problem(s)`);
+  }
+  configureEncryption(config.global?.encryption, logger);
+  const jobs = getScheduleJobs(config);
+
+  if (jobs.length === 0 && !config.retention?.cron) {
+    logger.warn('No schedules or retention.cron defined in config.yaml');
+    return 0;
+  }
+
+  acquireSchedulerLock(logger);
+
+  const shutdown = (signal) => {
+    logger.info(`Received ${signal}, stopping after the current run...`);
+    stopping = true;
+    if (activeChild) {
+      activeChild.kill('SIGTERM');
+    }
+  };
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+  logger.info(`Scheduler started with ${jobs.length} job(s), timezone ${config.global?.timezone || 'host default'}`);
+
+  try {
+    do {
+      await tick(jobs, config, configPath, logger);
+      if (argv.once || stopping) break;
+      await new Promise(resolve => setTimeout(resolve, argv.pollInterval * 1000));
+    } while (!stopping);
+  } finally {
+    releaseSchedulerLock();
+    logger.info('Scheduler stopped');
+  }
+
+  return 0;
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error('Fatal error:', error);
+    releaseSchedulerLock();
+    process.exit(1);
+  });